@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { generateTypes } from '../utils/typegen.js';
+
+const USAGE = `Usage: partial-classes gen-types <directory> --class <Name> [options]
+
+Generates a TypeScript declaration file merging the partials in <directory> into class <Name>.
+
+Options:
+  --class <Name>       Name of the main class (required)
+  --module <specifier> Module declaring the main class, relative to the output file (e.g. ./user-service.js);
+                       without it the members are merged into a global class declaration
+  --out <file>         Output file (default: <Name>.partials.d.ts next to <directory>)
+  --target <side>      Side objects of methods are applied to: instance (default) or static
+  --recursive          Scan subdirectories as well
+  --include <glob>     Only use files matching the pattern (repeatable)
+  --exclude <glob>     Skip files matching the pattern (repeatable)
+  --pick <name>        Use this export of every file (repeatable)
+  --stdout             Print the declarations instead of writing the output file
+  -h, --help           Show this help`;
+
+// Options taking a value, mapped to generateTypes option names; repeatable ones collect arrays
+const VALUE_OPTIONS = { class: 'className', module: 'classModule', out: 'outFile', target: 'target' };
+const LIST_OPTIONS = { include: 'include', exclude: 'exclude', pick: 'pick' };
+const FLAG_OPTIONS = { recursive: 'recursive', stdout: 'stdout' };
+
+/**
+ * Parses the gen-types arguments (`--name value`, `--name=value` and flags) into generateTypes options.
+ */
+const parseArguments = (args) => {
+  const options = {};
+  const positionals = [];
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (FLAG_OPTIONS[name]) {
+      if (value !== undefined) {
+        throw new Error(`--${name} does not take a value`);
+      }
+      options[FLAG_OPTIONS[name]] = true;
+      continue;
+    }
+    if (!VALUE_OPTIONS[name] && !LIST_OPTIONS[name]) {
+      throw new Error(`Unknown option --${name}`);
+    }
+    if (value === undefined) {
+      value = args[++index];
+      if (value === undefined) {
+        throw new Error(`--${name} needs a value`);
+      }
+    }
+    if (LIST_OPTIONS[name]) {
+      (options[LIST_OPTIONS[name]] = options[LIST_OPTIONS[name]] || []).push(value);
+    } else {
+      options[VALUE_OPTIONS[name]] = value;
+    }
+  }
+  if (positionals.length !== 1) {
+    throw new Error(positionals.length ? `Unexpected argument ${positionals[1]}` : 'Missing the partials directory');
+  }
+  if (!options.className) {
+    throw new Error('Missing --class');
+  }
+  return { ...options, directory: path.resolve(positionals[0]) };
+};
+
+const main = async ([command, ...args]) => {
+  if (command === undefined || command === '-h' || command === '--help' || args.includes('-h') || args.includes('--help')) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== 'gen-types') {
+    console.error(`Unknown command ${command}\n\n${USAGE}`);
+    return 1;
+  }
+
+  let options;
+  try {
+    options = parseArguments(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const { stdout, ...generateOptions } = options;
+  const { outFile, content } = await generateTypes(generateOptions);
+  if (stdout) {
+    process.stdout.write(content);
+  } else {
+    await fs.writeFile(outFile, content);
+    console.log(`Wrote ${path.relative(process.cwd(), outFile) || outFile}`);
+  }
+  return 0;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error.message);
+    for (const cause of error.errors || []) {
+      console.error(`  ${cause.message}`);
+    }
+    process.exitCode = 1;
+  }
+);
@@ -4,8 +4,7 @@ import { supplement } from 'js-partial-classes';
 class UserService {
   static {
     // Supplement with partial classes during static initialization
-    supplement(this, import('./validation-partial.js'));
-    supplement(this, import('./utilities-partial.js'));
+    supplement(this, [import('./validation-partial.js'), import('./utilities-partial.js')]);
   }
   
   constructor() {
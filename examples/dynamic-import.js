@@ -4,8 +4,7 @@ import { supplement } from 'js-partial-classes';
 class ApiService {
   static {
     // Supplement with partial classes during static initialization
-    supplement(this, import('./auth-partial.js'));
-    supplement(this, import('./logging-partial.js'));
+    supplement(this, [import('./auth-partial.js'), import('./logging-partial.js')]);
   }
   
   constructor(baseUrl) {
@@ -71,8 +71,7 @@ class UserService {
   
   // In practice, this would be called in a static initialization block
   // static { 
-  //   supplement(this, ValidationPartial);
-  //   supplement(this, UtilitiesPartial);
+  //   supplement(this, [ValidationPartial, UtilitiesPartial]);
   // }
   
   addUser(user: any) { 
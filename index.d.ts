@@ -1,13 +1,345 @@
+import { EventEmitter } from 'events';
+import type { Supplemented } from './types';
+
+/**
+ * How supplement handles a partial member whose key already exists on the main class.
+ *
+ * - `'override'` - replace the existing member (default)
+ * - `'skip'` - keep the existing member
+ * - `'warn'` - replace the existing member and print a warning
+ * - `'error'` - throw an error naming both sources; nothing from the partial is applied
+ *
+ * @since 1.2.0
+ */
+export type ConflictMode = 'override' | 'skip' | 'warn' | 'error';
+
+/**
+ * Details passed to a conflict resolver.
+ *
+ * @since 1.2.0
+ */
+export interface ConflictMeta {
+  /** Whether the member lives on the class itself or on its prototype */
+  side: 'static' | 'instance';
+  /** The class being supplemented */
+  mainClass: Function;
+  /** The partial class providing the incoming member */
+  partialClass: Function;
+  /** Name or module path of whatever installed the existing member */
+  existingSource: string;
+  /** Name or module path of the partial providing the incoming member */
+  incomingSource: string;
+}
+
+/**
+ * Custom conflict resolver. Returns the descriptor to install, or nothing to keep the existing member.
+ *
+ * @since 1.2.0
+ */
+export type ConflictResolver = (
+  key: string | symbol,
+  existing: PropertyDescriptor,
+  incoming: PropertyDescriptor,
+  meta: ConflictMeta
+) => PropertyDescriptor | null | undefined | void;
+
+/**
+ * Options accepted by supplement and supplementAll.
+ *
+ * @since 1.2.0
+ */
+export interface SupplementOptions {
+  /** What to do when a partial member already exists on the main class. Defaults to `'override'`. */
+  conflict?: ConflictMode | ConflictResolver;
+  /**
+   * Also copy members the partial inherits from its superclasses: `true` for the whole chain
+   * (up to, not including, Object/Function) or the number of superclasses to include.
+   * Members are applied from base to derived, so the partial's own overrides win. Defaults to `false`.
+   */
+  inherit?: boolean | number;
+  /**
+   * Names of the module exports to apply. By default a module's class default export is used, or else
+   * every class of an object default export (`module.exports = { A, B }`) or every named class export.
+   */
+  pick?: string | string[];
+  /** Side of the main class plain objects of methods are applied to. Defaults to `'instance'`. */
+  target?: ObjectTarget;
+  /**
+   * What relative module paths are resolved against: `import.meta.url` of the calling module, another file URL
+   * or a directory path. Defaults to the calling module, found by inspecting the stack.
+   */
+  base?: string | URL;
+}
+
+/**
+ * Options accepted by supplementAll.
+ *
+ * @since 1.2.0
+ */
+export interface SupplementAllOptions extends SupplementOptions {
+  /** Whether to scan subdirectories as well. Defaults to `false`. */
+  recursive?: boolean;
+  /** Glob patterns, relative to the directory, a file must match to be loaded */
+  include?: string | string[];
+  /** Glob patterns, relative to the directory, of files to skip. Declaration files (.d.ts, .d.mts, .d.cts) are always excluded. */
+  exclude?: string | string[];
+  /**
+   * Keep watching the directory and hot-reload partial files that are added, changed or deleted.
+   * supplementAll then resolves to a PartialWatcher instead of the manifest. Defaults to `false`.
+   */
+  watch?: boolean;
+}
+
+/**
+ * The members a partial class installed on the main class.
+ *
+ * @since 1.2.0
+ */
+export interface SupplementedMembers {
+  static: Array<string | symbol>;
+  instance: Array<string | symbol>;
+}
+
+/**
+ * Members contributed by each partial file, keyed by file path relative to the scanned directory.
+ *
+ * @since 1.2.0
+ */
+export type SupplementManifest = Record<string, SupplementedMembers>;
+
+/**
+ * Payload of the `add`, `change` and `delete` events of a PartialWatcher.
+ *
+ * @since 1.2.0
+ */
+export interface PartialWatchEvent {
+  type: 'add' | 'change' | 'delete';
+  /** Path of the partial file relative to the watched directory */
+  file: string;
+  /** Members installed by the new version of the file (undefined on delete) */
+  members?: SupplementedMembers;
+  /** Members of the previous version that were removed (undefined on add) */
+  removed?: SupplementedMembers;
+}
+
+/**
+ * Handle returned by supplementAll in watch mode.
+ *
+ * Emits `add`, `change` and `delete` once the main class has been updated, and `error` when a
+ * reload fails (the previous members are kept). Errors are logged to the console if nobody listens.
+ *
+ * @since 1.2.0
+ */
+export declare class PartialWatcher extends EventEmitter {
+  /** The manifest of the initial supplementAll call, kept up to date as files change */
+  readonly manifest: SupplementManifest;
+  /** Stops watching. Resolves once reloads already in progress are done. */
+  close(): Promise<void>;
+  on(event: 'add' | 'change' | 'delete', listener: (event: PartialWatchEvent) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  once(event: 'add' | 'change' | 'delete', listener: (event: PartialWatchEvent) => void): this;
+  once(event: 'error', listener: (error: Error) => void): this;
+}
+
+/**
+ * Side of the main class a plain object partial is applied to.
+ *
+ * @since 1.2.0
+ */
+export type ObjectTarget = 'instance' | 'static';
+
+/**
+ * The sides accepted by the `target` option.
+ *
+ * @since 1.2.0
+ */
+export const OBJECT_TARGETS: ObjectTarget[];
+
+/**
+ * A plain object of methods applied as a partial, like `{ format() {}, parse() {} }`.
+ *
+ * @since 1.2.0
+ */
+export type PartialObject = { [key: string]: unknown };
+
+/**
+ * A mixin factory applied as a partial: called with a base class mirroring the main class, it returns
+ * the class whose members are applied, so `super` calls reach the members it replaces.
+ *
+ * @since 1.2.0
+ */
+export type MixinFactory = (Base: new (...args: any[]) => any) => Function;
+
+/**
+ * A partial accepted by supplement: the class, a mixin factory, an object of methods, a module path,
+ * or an import promise.
+ *
+ * @since 1.2.0
+ */
+export type PartialSource =
+  | Function
+  | MixinFactory
+  | PartialObject
+  | string
+  | Promise<Function>
+  | Promise<{ default: Function }>;
+
+/**
+ * An already imported partial, as supplementSync accepts it: a class, mixin factory, object of methods
+ * or module namespace with a default export.
+ */
+export type SyncPartial = Function | PartialObject | { default: Function };
+
+/**
+ * The built-in conflict modes.
+ *
+ * @since 1.2.0
+ */
+export const CONFLICT_MODES: ConflictMode[];
+
+/**
+ * Context passed to a partial's `onSupplement` hook.
+ *
+ * @since 1.2.0
+ */
+export interface SupplementHookContext {
+  /** The members the partial installed */
+  members: SupplementedMembers;
+  /** Label of the partial (class name or module path) */
+  source: string;
+  /** The module path the partial was loaded from, if any */
+  modulePath?: string;
+  /** The options of the supplementation */
+  options: SupplementOptions;
+}
+
+/**
+ * How a partial method declared in `static advice` is composed with the implementation it advises.
+ *
+ * @since 1.2.0
+ */
+export type AdviceKind = 'before' | 'after' | 'around';
+
+/**
+ * Shape of a partial's `static advice` directive: the advice kind of each advised member, by side.
+ *
+ * @since 1.2.0
+ */
+export interface PartialAdvice {
+  instance?: Record<PropertyKey, AdviceKind>;
+  static?: Record<PropertyKey, AdviceKind>;
+}
+
+/**
+ * Shape of a partial's `static requires` directive: the members the main class must provide, by side.
+ *
+ * @since 1.2.0
+ */
+export interface PartialRequirements {
+  instance?: Array<string | symbol>;
+  static?: Array<string | symbol>;
+}
+
+/**
+ * The advice kinds accepted by the `static advice` directive.
+ *
+ * @since 1.2.0
+ */
+export const ADVICE_KINDS: AdviceKind[];
+
+/**
+ * Key of a partial's `[partialInit]()` instance method, which sets up per-instance state. It runs once per
+ * main-class instance, in application order, the first time the instance uses a member of the partial or
+ * reads or writes a field the partial declares in `static fields = ['name', ...]`.
+ *
+ * @since 1.2.0
+ */
+export const partialInit: unique symbol;
+
+/**
+ * Runs the pending `[partialInit]` initializers of an instance right away instead of on first use.
+ *
+ * @param instance - The instance to initialize
+ * @param mainClass - Only run the initializers of partials applied to this class; defaults to every
+ *   supplemented class in the instance's prototype chain, base classes first
+ * @returns The instance
+ *
+ * @example
+ * class UserService {
+ *   constructor() {
+ *     initializeInstance(this);
+ *   }
+ * }
+ *
+ * @throws {TypeError} If the instance is not an object or `mainClass` is not a function
+ * @since 1.2.0
+ */
+export function initializeInstance<T extends object>(instance: T, mainClass?: Function): T;
+
+/**
+ * Returns the storage object private to one partial on one main-class instance, backed by WeakMaps.
+ * 
+ * @param instance - The main-class instance, usually `this` in a partial method
+ * @param PartialClass - The partial owning the state, used as the key
+ * @param initialize - Creates the state the first time it is requested; defaults to an empty object
+ * @returns The same storage object on every call for that instance and partial
+ * 
+ * @example
+ * class CounterPartial {
+ *   increment() {
+ *     const state = partialState(this, CounterPartial, () => ({ count: 0 }));
+ *     return ++state.count;
+ *   }
+ * }
+ * 
+ * @throws {TypeError} If the instance or key is not an object, or `initialize` returns a primitive
+ * @since 1.2.0
+ */
+export function partialState<T extends object = Record<PropertyKey, any>>(
+  instance: object,
+  PartialClass: object,
+  initialize?: (instance: any) => T
+): T;
+
+/**
+ * Key of a partial's `static [onSupplement](mainClass, context)` hook, called after its members are installed.
+ *
+ * @since 1.2.0
+ */
+export const onSupplement: unique symbol;
+
+/**
+ * Key of a main class's `static [beforeSupplement](partialClass, members)` hook, called before a partial's
+ * members are installed. Throwing aborts the supplementation with nothing applied.
+ *
+ * @since 1.2.0
+ */
+export const beforeSupplement: unique symbol;
+
+/**
+ * Key of a main class's `static [afterSupplement](partialClass, members)` hook, called after a partial's
+ * members are installed and its `onSupplement` hook has run.
+ *
+ * @since 1.2.0
+ */
+export const afterSupplement: unique symbol;
+
 /**
  * Supplements a main class with methods from a partial class.
  * 
  * This function copies all static and instance methods from a partial class to a main class.
+ * Getters and setters are copied as accessor descriptors.
  * It supports both direct class references and dynamic imports via string paths.
  * The function automatically awaits dynamic imports and handles both default exports and direct exports.
  * 
+ * Several partials can be applied at once, either as an array or as extra arguments. They are
+ * imported concurrently and applied in the listed order once all of them have loaded; conflicts
+ * across the whole batch are reported together, and nothing is applied if any partial fails to load.
+ * 
  * @param mainClass - The target class to be supplemented with methods from the partial class
  * @param partialClass - The partial class, string path to partial class module, or promise resolving to a partial class
- * @returns Promise that resolves when the supplementation is complete
+ * @param options - Supplementation options such as the `conflict` strategy
+ * @returns Promise that resolves to the static and instance members installed on the main class
  * 
  * @example
  * // Using with direct class reference
@@ -33,19 +365,53 @@
  *   }
  * }
  * 
+ * @example
+ * // Apply several partials in order, reporting every conflict at once
+ * class MainClass {
+ *   static {
+ *     supplement(this, [ValidationPartial, import('./api.js'), './logger.js'], { conflict: 'warn' });
+ *   }
+ * }
+ * 
+ * @example
+ * // class AdminPartial extends AuditPartial - copy AuditPartial's members too
+ * await supplement(MainClass, AdminPartial, { inherit: true });
+ * 
+ * @example
+ * // Refuse to silently overwrite existing members
+ * await supplement(MainClass, PartialClass, { conflict: 'error' });
+ * 
  * @throws {Error} If the partial class cannot be imported or is invalid
+ * @throws {Error} If a member conflicts and the conflict option is 'error'; the message lists every conflict of the batch
  * @since 1.0.0
  */
 export function supplement(
   mainClass: Function, 
-  partialClass: Function | string | Promise<Function>
-): Promise<void>;
+  partialClass: PartialSource,
+  options?: SupplementOptions
+): Promise<SupplementedMembers>;
+/**
+ * Applies several partials in the listed order, resolving to the members each one installed.
+ */
+export function supplement(
+  mainClass: Function,
+  partialClasses: PartialSource[],
+  options?: SupplementOptions
+): Promise<SupplementedMembers[]>;
+export function supplement(
+  mainClass: Function,
+  ...partialClasses:
+    | [PartialSource, PartialSource, ...PartialSource[]]
+    | [PartialSource, PartialSource, ...PartialSource[], SupplementOptions]
+): Promise<SupplementedMembers[]>;
 
 /**
  * Iterates over class descriptors, excluding the constructor.
  * 
- * This utility function iterates through all own property descriptors of a class
- * and calls the provided callback function for each descriptor, skipping the constructor.
+ * This utility function iterates through all own property descriptors of a class,
+ * including symbol-keyed ones such as `Symbol.iterator`, and calls the provided
+ * callback function for each descriptor, skipping the constructor and non-writable
+ * data properties (such as a class's `name`, `length` and `prototype`).
  * It's used internally by the supplement function to copy methods from partial classes.
  * 
  * @param cls - The class to iterate over (can be a class constructor or class prototype)
@@ -70,7 +436,7 @@ export function supplement(
  */
 export function iterateDescriptors(
   cls: Function, 
-  cb: (descriptor: [string, PropertyDescriptor]) => void
+  cb: (descriptor: [string | symbol, PropertyDescriptor]) => void
 ): void;
 
 /**
@@ -92,6 +458,274 @@ export function iterateDescriptors(
  */
 export function myDir(url: string): string;
 
+/**
+ * Loads a partial file: returns or resolves to its module namespace, exports object or partial.
+ * `fresh` is true when a watched file is reloaded, and the loader should then bypass its caches.
+ *
+ * @since 1.2.0
+ */
+export type PartialLoader = (modulePath: string, context: { fresh: boolean }) => unknown;
+
+/**
+ * Registers a loader for partial files. supplement loads module paths with the loader matching them,
+ * and supplementAll only scans files some loader matches. Loaders registered later take precedence.
+ *
+ * @param extensionOrMatcher - A file extension such as `'.mts'`, several of them, or a RegExp or predicate
+ *   tested against the absolute module path
+ * @param loadFn - Loads the module at the given absolute path
+ * @returns A function that unregisters the loader
+ *
+ * @example
+ * registerLoader('.json', async (file) => {
+ *   const values = JSON.parse(await fs.readFile(file, 'utf8'));
+ *   return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, () => value]));
+ * });
+ *
+ * @throws {TypeError} If the matcher or the load function is invalid
+ * @since 1.2.0
+ */
+export function registerLoader(
+  extensionOrMatcher: string | string[] | RegExp | ((modulePath: string) => boolean),
+  loadFn: PartialLoader
+): () => void;
+
+/**
+ * Options of generateTypes.
+ */
+export interface GenerateTypesOptions {
+  /** Name of the main class */
+  className: string;
+  /** The directory of partial files, as passed to supplementAll */
+  directory: string;
+  /**
+   * Specifier of the module declaring the main class, relative to the output file (e.g. `'./user-service.js'`).
+   * The members are then merged through `declare module`; without it they are merged into a global class declaration
+   */
+  classModule?: string;
+  /** Where the declaration file will be written; defaults to `<className>.partials.d.ts` next to the directory */
+  outFile?: string;
+  /** Side objects of methods are applied to (default 'instance') */
+  target?: ObjectTarget;
+  /** Whether to scan subdirectories as well */
+  recursive?: boolean;
+  /** Glob patterns, relative to `directory`, a file must match */
+  include?: string | string[];
+  /** Glob patterns, relative to `directory`, of files to skip */
+  exclude?: string | string[];
+  /** Names of the exports to use, as in supplement */
+  pick?: string | string[];
+  /** What a relative `directory` is resolved against; defaults to the directory of the calling module */
+  base?: string | URL;
+}
+
+/**
+ * Generates a TypeScript declaration file that merges the members of a directory of partials into the
+ * main class: instance members through `interface MainClass extends ...` and static members through
+ * `namespace MainClass { ... }`. Also available as `partial-classes gen-types <directory> --class <Name>`.
+ *
+ * @param options - The class, the partials directory and where the declarations go
+ * @returns The output path and the declaration file's content; writing the file is up to the caller
+ *
+ * @example
+ * const { outFile, content } = await generateTypes({
+ *   className: 'UserService',
+ *   classModule: './user-service.js',
+ *   directory: './partials',
+ *   outFile: path.resolve('src/user-service.partials.d.ts'),
+ * });
+ * await fs.writeFile(outFile, content);
+ *
+ * @throws {TypeError} If the class name is not a valid identifier, the directory is not a string or the target is invalid
+ * @throws {AggregateError} If any partial file cannot be loaded; `errors` holds one error per failing file
+ * @since 1.2.0
+ */
+export function generateTypes(options: GenerateTypesOptions): Promise<{ outFile: string; content: string }>;
+
+/**
+ * Synchronously supplements a main class with methods from already imported partial classes.
+ * 
+ * Unlike supplement, the members are installed before this function returns, so the main
+ * class can be instantiated right after its declaration. Partials are applied in the order given,
+ * as an array or as extra arguments, and conflicts across all of them are reported together.
+ * 
+ * In TypeScript the call narrows `mainClass` to `Supplemented<typeof mainClass, [...partials]>`, so
+ * the statics and instance members of the partials type-check afterwards. TypeScript narrows
+ * `const` bindings but not class declarations, so declare the class as `const Main = class Main {}`
+ * to benefit from it.
+ * 
+ * @param mainClass - The target class to be supplemented
+ * @param partialClasses - Partial classes (or imported module namespaces with a default export),
+ *   optionally followed by the options of supplement
+ * 
+ * @example
+ * import ValidationPartial from './validation.js';
+ * 
+ * class MainClass {
+ *   static {
+ *     supplementSync(this, ValidationPartial, UtilitiesPartial);
+ *   }
+ * }
+ * 
+ * new MainClass().validateRequired('x'); // available immediately
+ * 
+ * @example
+ * supplementSync(MainClass, [ValidationPartial, UtilitiesPartial], { conflict: 'error' });
+ * 
+ * @example
+ * const UserService = class UserService {};
+ * supplementSync(UserService, ValidationPartial);
+ * UserService.validateEmail('test@example.com'); // typed as a static of ValidationPartial
+ * 
+ * @throws {TypeError} If a partial is a module path, a promise or not a class, mixin factory or object of methods;
+ *   nothing is applied then
+ * @throws {Error} If a member conflicts and the conflict option is 'error'; nothing is applied then
+ * @since 1.2.0
+ */
+export function supplementSync<
+  Main extends abstract new (...args: any) => any,
+  Partials extends SyncPartial[],
+  Target extends ObjectTarget = 'instance',
+>(
+  mainClass: Main,
+  partialClasses: [...Partials],
+  options?: SupplementOptions & { target?: Target }
+): asserts mainClass is Supplemented<Main, Partials, Target>;
+export function supplementSync<
+  Main extends abstract new (...args: any) => any,
+  Partials extends SyncPartial[],
+  Target extends ObjectTarget = 'instance',
+>(
+  mainClass: Main,
+  ...partialClasses: [...Partials, SupplementOptions & { target?: Target }]
+): asserts mainClass is Supplemented<Main, Partials, Target>;
+export function supplementSync<Main extends abstract new (...args: any) => any, Partials extends SyncPartial[]>(
+  mainClass: Main,
+  ...partialClasses: Partials
+): asserts mainClass is Supplemented<Main, Partials>;
+export function supplementSync(
+  mainClass: Function,
+  ...partialClasses:
+    | SyncPartial[]
+    | [...SyncPartial[], SupplementOptions]
+): void;
+
+/**
+ * Removes a previously applied partial class from a main class.
+ * 
+ * Exactly the members installed by the latest application of the partial are removed and
+ * whatever they replaced is restored, including main-class originals the partial overrode.
+ * Members that a later partial has since overridden stay in place; rolling back that later
+ * partial will then restore what existed before this one.
+ * 
+ * @param mainClass - The supplemented class
+ * @param partialClass - The partial class, or the module path it was loaded from
+ * @param options.base - What a relative module path is resolved against; defaults to the calling module
+ * @returns The members the partial had installed
+ * 
+ * @example
+ * await supplement(MainClass, LoggingPartial);
+ * unsupplement(MainClass, LoggingPartial); // MainClass is back to its previous shape
+ * 
+ * @throws {Error} If the partial has not been applied to the main class
+ * @since 1.2.0
+ */
+export function unsupplement(
+  mainClass: Function,
+  partialClass: Function | PartialObject | string,
+  options?: { base?: string | URL }
+): SupplementedMembers;
+
+/**
+ * Waits until every pending supplement of a class has finished.
+ * 
+ * Supplements registered while waiting are waited for as well. The promise rejects with
+ * the error of a failed supplement, or an AggregateError if several failed.
+ * Resolves immediately if the class has never been supplemented.
+ * 
+ * @param mainClass - The supplemented class
+ * @returns Promise that resolves once no supplement is pending
+ * 
+ * @example
+ * class MainClass {
+ *   static {
+ *     supplement(this, import('./partial-class.js'));
+ *   }
+ * }
+ * 
+ * await whenSupplemented(MainClass);
+ * 
+ * @since 1.2.0
+ */
+export function whenSupplemented(mainClass: Function): Promise<void>;
+
+/**
+ * Where a supplemented member came from, as reported by getSupplementInfo.
+ *
+ * @since 1.2.0
+ */
+export interface SupplementedMemberInfo {
+  key: string | symbol;
+  side: 'static' | 'instance';
+  /** Name of the partial class that installed the member */
+  name: string;
+  /** Label of the partial: its class name or module path */
+  source: string;
+  /** The module path the partial was loaded from, if any */
+  modulePath?: string;
+  /** Position of the partial in application order */
+  order: number;
+  /** Whether the member replaced an existing one */
+  overrode: boolean;
+  /** The partial (or main class) whose member was replaced */
+  replaced?: string;
+}
+
+/**
+ * An applied partial, as reported by getSupplementInfo.
+ *
+ * @since 1.2.0
+ */
+export interface AppliedPartialInfo {
+  order: number;
+  name: string;
+  source: string;
+  modulePath?: string;
+  partialClass: Function;
+  /** The members the partial installed */
+  members: SupplementedMembers;
+}
+
+/**
+ * Describes which partials have been applied to a class and which partial installed each member.
+ * 
+ * When several partials installed the same member, the one applied last is reported.
+ * 
+ * @param mainClass - The supplemented class
+ * @returns The applied partials in application order, and the origin of each member by side
+ * 
+ * @example
+ * getSupplementInfo(UserService).members.instance.get('save')?.modulePath;
+ * 
+ * @since 1.2.0
+ */
+export function getSupplementInfo(mainClass: Function): {
+  partials: AppliedPartialInfo[];
+  members: {
+    static: Map<string | symbol, SupplementedMemberInfo>;
+    instance: Map<string | symbol, SupplementedMemberInfo>;
+  };
+};
+
+/**
+ * Tells whether a class has been supplemented, with no supplement pending and none failed.
+ * 
+ * @param mainClass - The class to check
+ * @returns true once all supplements of the class completed successfully
+ * 
+ * @since 1.2.0
+ */
+export function isSupplemented(mainClass: Function): boolean;
+
 // Re-export types for TypeScript users
 export * from './types';
 
@@ -100,11 +734,18 @@ export * from './types';
  * 
  * This function scans a directory for JavaScript and TypeScript files and supplements
  * the main class with methods from each partial class found. It supports various
- * file extensions including .js, .ts, .mjs, and .cjs.
+ * file extensions including .js, .ts, .mjs, and .cjs. Declaration files (.d.ts)
+ * are always skipped; subdirectories are scanned when `recursive` is set.
+ * 
+ * Files are imported concurrently but applied in a deterministic order: by relative path,
+ * unless a partial declares `static priority` (lower applies first, so higher wins collisions)
+ * or `static after = ['other-partial']` to be applied after the named partials.
  * 
  * @param mainClass - The target class to be supplemented with methods from partial classes
- * @param directory - The directory path to scan for partial class files
- * @returns Promise that resolves to an object containing the loaded modules
+ * @param directory - The directory path to scan for partial class files; relative paths are resolved against `options.base` or the calling module
+ * @param options - Scan options (`recursive`, `include`, `exclude`) and supplementation options passed on to supplement for every file
+ * @returns Promise that resolves, once every partial has been applied, to a manifest keyed by relative file path
+ *   listing the static and instance members each partial contributed
  * 
  * @example
  * // Supplement with all partial classes in a directory
@@ -117,13 +758,38 @@ export * from './types';
  * @example
  * // Using with async/await
  * async function setupClass() {
- *   await supplementAll(MainClass, './partial-classes');
+ *   const manifest = await supplementAll(MainClass, './partial-classes');
+ *   // { 'validation.js': { static: ['validateEmail'], instance: ['validateRequired'] }, ... }
+ * }
+ * 
+ * @example
+ * // Load partials/auth/*.js, partials/billing/*.js, ... but not their tests
+ * await supplementAll(MainClass, partialsDir, { recursive: true, exclude: '**\/*.test.js' });
+ * 
+ * @example
+ * // partials/audit.js is always applied after partials/base.js
+ * export default class AuditPartial {
+ *   static after = ['base'];
  * }
  * 
- * @throws {Error} If the directory cannot be read or partial classes cannot be imported
+ * @example
+ * // Development: hot-reload partials as they are edited
+ * const watcher = await supplementAll(MainClass, partialsDir, { watch: true });
+ * watcher.on('change', ({ file, members }) => console.log(`Reloaded ${file}`, members));
+ * // ...
+ * await watcher.close();
+ * 
+ * @throws {Error} If the directory cannot be read, an `after` entry matches no partial, or `after` lists form a cycle
+ * @throws {AggregateError} If any partial class cannot be imported or applied; `errors` holds one error per failing file
  * @since 1.0.0
  */
 export function supplementAll(
   mainClass: Function,
-  directory: string
-): Promise<Record<string, any>>;
+  directory: string,
+  options: SupplementAllOptions & { watch: true }
+): Promise<PartialWatcher>;
+export function supplementAll(
+  mainClass: Function,
+  directory: string,
+  options?: SupplementAllOptions
+): Promise<SupplementManifest>;
@@ -1,21 +1,475 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { iterateDescriptors, myDir } from './utils/utils.js';
-import { addSupplementationMetadata } from './utils/metadata.js';
+import { listPartialFiles, isPartialFile } from './utils/files.js';
+import { PartialWatcher } from './utils/watch.js';
+import { orderPartials, isDirective } from './utils/order.js';
+import {
+  addSupplementationMetadata,
+  getMemberSource,
+  recordMemberSource,
+  getSupplementHistory,
+  whenSupplemented,
+  isSupplemented,
+  getSupplementInfo,
+  observeCompletion,
+} from './utils/metadata.js';
 import { SUPPLEMENTED_SYMBOLS } from './utils/metadata.js';
-import * as tsImport from 'ts-import';
+import { resolveConflict, reportConflicts, CONFLICT_MODES } from './utils/conflict.js';
+import { onSupplement, beforeSupplement, afterSupplement, HOOK_KEYS, callHook } from './utils/hooks.js';
+import {
+  partialInit,
+  createInitializer,
+  withInitialization,
+  initializeInstance,
+  installFieldAccessors,
+  removeFieldAccessors,
+} from './utils/initializers.js';
+import { partialState } from './utils/state.js';
+import { readAdvice, findDescriptor, composeAdvice, rebaseAdvice, forwardAdvice, ADVICE_KINDS } from './utils/advice.js';
+import { readRequirements, verifyRequirements } from './utils/requirements.js';
+import { resolvePartialExports } from './utils/exports.js';
+import { normalizePartial, isMixinBase, OBJECT_TARGETS } from './utils/normalize.js';
+import { isRelativePath, resolveBaseDirectory, resolveModulePath } from './utils/paths.js';
+import { registerLoader, hasLoader, loadModule } from './utils/loaders.js';
+import { generateTypes } from './utils/typegen.js';
+import { createAggregateError, createErrorWithCause } from './utils/errors.js';
+
+const METADATA_KEYS = Object.values(SUPPLEMENTED_SYMBOLS);
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Collects the descriptors of `sources` that should be installed on `target`.
+ *
+ * Methods, fields and accessors (getters/setters) are collected as-is so they can be
+ * installed with `Object.defineProperty`, preserving `enumerable`/`configurable` flags.
+ * Non-writable data properties (such as a class's `name` and `length`, left out by iterateDescriptors),
+ * the static `prototype` (writable on constructor functions), static directives such as `priority`, lifecycle hooks and
+ * `[partialInit]` are skipped.
+ * When several sources define the same key the last one wins. Members that already exist
+ * on `target`, or that an earlier partial of the same batch will install, go through the
+ * conflict option, except members declared as advice, which are composed with the
+ * implementation they advise instead.
+ *
+ * @param {Object} target - The class or prototype receiving the members
+ * @param {Object[]} sources - The classes or prototypes providing the members, base first
+ * @param {Object} context - The main class, partial class, side ('static' | 'instance'), source label, conflict option
+ *   and the partial's advice for this side, plus the batch's `planned` members and the `conflicts` found so far
+ *   (both updated in place)
+ * @returns {Array<{target: Object, side: string, key: string|symbol, descriptor: PropertyDescriptor}>} The descriptors to install
+ */
+const collectDescriptors = (target, sources, context) => {
+  const { mainClass, partialClass, side, incomingSource, conflict, advice, planned, conflicts } = context;
+  const merged = new Map();
+  for (const source of sources) {
+    iterateDescriptors(source, ([key, descriptor]) => {
+      if (side === 'static' && (key === 'prototype' || isDirective(key, descriptor) || HOOK_KEYS.includes(key))) {
+        return;
+      }
+      if (side === 'instance' && key === partialInit) {
+        return;
+      }
+      // Never copy supplementation metadata from a partial that was itself supplemented
+      if (METADATA_KEYS.includes(key)) {
+        return;
+      }
+      merged.set(key, descriptor);
+    });
+  }
+
+  for (const key of Reflect.ownKeys(advice)) {
+    if (!merged.has(key)) {
+      throw new TypeError(`${incomingSource} declares ${advice[key]} advice for ${side} member "${String(key)}" but defines no such member`);
+    }
+  }
+
+  const collected = [];
+  for (let [key, descriptor] of merged) {
+    const pending = planned[side].get(key);
+    const existing = pending?.descriptor ?? Object.getOwnPropertyDescriptor(target, key);
+    const meta = {
+      side,
+      mainClass,
+      partialClass,
+      existingSource: pending?.source ?? getMemberSource(mainClass, side, key) ?? (mainClass.name || 'the main class'),
+      incomingSource,
+    };
+    if (hasOwn(advice, key)) {
+      // Advice extends inherited implementations too
+      descriptor = composeAdvice(advice[key], key, existing ?? findDescriptor(Object.getPrototypeOf(target), key), descriptor, meta);
+    } else if (existing) {
+      descriptor = resolveConflict(conflict, key, existing, descriptor, meta);
+      conflicts.push({ key, meta });
+      if (!descriptor) {
+        continue;
+      }
+    }
+    planned[side].set(key, { descriptor, source: incomingSource });
+    collected.push({ target, side, key, descriptor });
+  }
+  return collected;
+};
+
+/**
+ * Returns the partial class preceded by the superclasses selected by the `inherit` option.
+ *
+ * The chain stops before `Function.prototype`, so the built-in members of
+ * `Object`/`Function` are never included, and before the base class of a mixin.
+ *
+ * @param {Function} PartialClass - The partial class
+ * @param {boolean|number} [inherit=false] - `true` for the whole chain, or the number of superclasses to include
+ * @returns {Function[]} The classes to copy members from, base first
+ */
+const partialChain = (PartialClass, inherit = false) => {
+  const depth = inherit === true ? Infinity : Number(inherit) || 0;
+  const chain = [PartialClass];
+  let current = PartialClass;
+  while (chain.length <= depth) {
+    current = Object.getPrototypeOf(current);
+    if (typeof current !== 'function' || current === Function.prototype || isMixinBase(current)) {
+      break;
+    }
+    chain.unshift(current);
+  }
+  return chain;
+};
+
+/**
+ * Returns a human readable label for a partial, used in conflict messages.
+ *
+ * Partials loaded from a module path are labelled with the path, followed by `#name` for named exports.
+ */
+const describePartial = (partial, partialClassOrPath, exportName) => {
+  if (typeof partialClassOrPath !== 'string') {
+    if (typeof partial !== 'function') {
+      return 'object partial';
+    }
+    return partial.name || (partial.prototype ? 'anonymous partial class' : 'anonymous mixin');
+  }
+  return exportName && exportName !== 'default' ? `${partialClassOrPath}#${exportName}` : partialClassOrPath;
+};
+
+/**
+ * Resolves a partial reference, promise or module path to the partials it provides.
+ *
+ * @param {Function|string|Promise<Function|Object>} partialClass - The partial class, module path or import promise
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Bypass caches when loading a module path (see utils/loaders.js)
+ * @param {string|string[]} [options.pick] - Names of the exports to use (see utils/exports.js)
+ * @returns {Promise<Array<{partial: Function|Object, source: string, modulePath: string|undefined}>>} The partials
+ *   (classes, mixin factories or objects of methods), ready for applyPartials
+ */
+const loadPartial = async (partialClass, { fresh = false, pick } = {}) => {
+  const modulePath = typeof partialClass === 'string' ? partialClass : undefined;
+  if (modulePath !== undefined) {
+    partialClass = loadModule(modulePath, { fresh });
+  }
+  const exports = resolvePartialExports(await partialClass, { pick, source: modulePath ?? 'the imported partial module' });
+  return exports.map(({ partial, exportName }) => ({
+    partial,
+    source: describePartial(partial, modulePath, exportName),
+    modulePath,
+  }));
+};
+
+/**
+ * Resolves the relative module paths among `partials` against `base`, or else the calling module.
+ *
+ * Must be called synchronously from the public function, while its caller is still on the stack.
+ *
+ * @param {Array} partials - The partials given to supplement
+ * @param {string|URL} [base] - The base option (see utils/paths.js)
+ * @returns {Array} The partials, with module paths resolved
+ */
+const resolvePartialPaths = (partials, base) => {
+  let baseDirectory;
+  return partials.map((partial) => {
+    if (typeof partial !== 'string') {
+      return partial;
+    }
+    if (isRelativePath(partial) && baseDirectory === undefined) {
+      baseDirectory = resolveBaseDirectory(base);
+    }
+    return resolveModulePath(partial, baseDirectory);
+  });
+};
+
+/**
+ * Checks that a partial can be applied synchronously and returns the partials it provides.
+ *
+ * @param {*} partialClass - A partial class, mixin factory, object of methods or an already imported module namespace
+ * @param {string|string[]} [pick] - Names of the exports to use (see utils/exports.js)
+ * @returns {Array<{partial: Function|Object, source: string}>} The partials, ready for applyPartials
+ * @throws {TypeError} If given a module path, a promise or something without a partial export
+ */
+const resolvePartialSync = (partialClass, pick) => {
+  if (typeof partialClass === 'string') {
+    throw new TypeError(`supplementSync cannot load "${partialClass}"; import it first or use supplement()`);
+  }
+  if (typeof partialClass?.then === 'function') {
+    throw new TypeError('supplementSync cannot await a promise; await it first or use supplement()');
+  }
+  return resolvePartialExports(partialClass, { pick, source: 'the partial given to supplementSync' })
+    .map(({ partial }) => ({ partial, source: describePartial(partial) }));
+};
+
+/**
+ * Combines the members installed by several partials loaded from the same module or argument.
+ *
+ * @param {Array<{static: Array<string|symbol>, instance: Array<string|symbol>}>} list - The members of each partial class
+ * @returns {{static: Array<string|symbol>, instance: Array<string|symbol>}} The members, without duplicates
+ */
+const mergeMembers = (list) => ({
+  static: [...new Set(list.flatMap((members) => members.static))],
+  instance: [...new Set(list.flatMap((members) => members.instance))],
+});
+
+/**
+ * Applies groups of partials in one batch and returns the combined members of each group.
+ *
+ * @param {Function} mainClass - The class being supplemented
+ * @param {Array<Array<Object>>} groups - The partials loaded for each argument or file, in order
+ * @param {Object} options - Supplementation options (see supplement)
+ * @param {Array<Object>} [deferredRequirements] - Collects the requirements of the partials instead of checking them
+ *   (see applyPartials)
+ * @returns {Array<{static: Array<string|symbol>, instance: Array<string|symbol>}>} The members of each group
+ */
+const applyGroups = (mainClass, groups, options, deferredRequirements) => {
+  const members = applyPartials(mainClass, groups.flat(), options, deferredRequirements);
+  let offset = 0;
+  return groups.map((group) => mergeMembers(members.slice(offset, (offset += group.length))));
+};
+
+/**
+ * Installs the static and instance members of loaded partials on the main class, in order.
+ *
+ * Each partial is first normalized to a partial class (see utils/normalize.js), so mixin factories
+ * and objects of methods go through the same steps as classes.
+ * Every partial is planned before any member is installed, so missing `static requires` members
+ * and conflicts, including those between partials of the batch, are reported once for the whole
+ * batch and leave the main class intact. The main class's `beforeSupplement` hook then runs for every
+ * partial, and once all members are installed each partial's `onSupplement` hook and the main
+ * class's `afterSupplement` hook run in application order.
+ *
+ * The instance members of partials defining `[partialInit]` are wrapped so that using any of them
+ * first runs the pending initializers for that instance, and the fields declared in `static fields` get
+ * prototype accessors that do the same (see utils/initializers.js).
+ *
+ * @param {Function} mainClass - The class being supplemented
+ * @param {Array<{partial: Function|Object, source: string, modulePath?: string}>} partials - The loaded partials: the partial
+ *   class, mixin factory or object, its label (class name or module path) used in conflict messages and the module path
+ *   it was loaded from, if any
+ * @param {Object} options - Supplementation options (see supplement)
+ * @param {Array<Object>} [deferredRequirements] - When given, the `{source, requires}` of each partial is pushed here
+ *   for the caller to check later instead of being checked before anything is installed
+ * @returns {Array<{static: Array<string|symbol>, instance: Array<string|symbol>}>} The members each partial installed
+ */
+const applyPartials = (mainClass, partials, options, deferredRequirements) => {
+  const conflict = options.conflict ?? 'override';
+  const batch = { planned: { static: new Map(), instance: new Map() }, conflicts: [] };
+  const plans = partials.map(({ partial, ...loaded }) => {
+    const PartialClass = normalizePartial(partial, mainClass, options);
+    const context = { mainClass, partialClass: PartialClass, incomingSource: loaded.source, conflict, ...batch };
+    const chain = partialChain(PartialClass, options.inherit);
+    const initializer = createInitializer(PartialClass, loaded.source);
+    const advice = readAdvice(PartialClass, loaded.source);
+    const requires = readRequirements(PartialClass, loaded.source);
+    let instanceDescriptors = collectDescriptors(
+      mainClass.prototype,
+      chain.map((cls) => cls.prototype),
+      { ...context, side: 'instance', advice: advice.instance }
+    );
+    if (initializer) {
+      instanceDescriptors = instanceDescriptors.map((entry) => ({
+        ...entry,
+        descriptor: forwardAdvice(entry.descriptor, withInitialization(mainClass, entry.descriptor)),
+      }));
+    }
+    const descriptors = [
+      ...instanceDescriptors,
+      ...collectDescriptors(mainClass, chain, { ...context, side: 'static', advice: advice.static }),
+    ];
+    return { ...loaded, PartialClass, origin: partial, initializer, requires, descriptors };
+  });
+  if (deferredRequirements) {
+    deferredRequirements.push(...plans.map(({ source, requires }) => ({ source, requires })));
+  } else {
+    verifyRequirements(mainClass, plans, batch.planned);
+  }
+  reportConflicts(conflict, batch.conflicts);
+
+  const membersOf = ({ descriptors }) => ({
+    static: descriptors.filter(({ side }) => side === 'static').map(({ key }) => key),
+    instance: descriptors.filter(({ side }) => side === 'instance').map(({ key }) => key),
+  });
+  for (const plan of plans) {
+    callHook(mainClass, beforeSupplement, plan.PartialClass, membersOf(plan));
+  }
+
+  const applied = plans.map((plan) => {
+    const { PartialClass, origin, source, modulePath, initializer, descriptors } = plan;
+    const record = { partialClass: PartialClass, origin, source, modulePath, initializer, members: [] };
+    for (const { target, side, key, descriptor } of descriptors) {
+      const previous = Object.getOwnPropertyDescriptor(target, key);
+      record.members.push({ side, key, descriptor, previous, previousSource: getMemberSource(mainClass, side, key) });
+      Object.defineProperty(target, key, descriptor);
+      recordMemberSource(mainClass, side, key, source);
+    }
+    if (initializer) {
+      installFieldAccessors(mainClass, initializer);
+    }
+    getSupplementHistory(mainClass).push(record);
+    return { ...plan, members: membersOf(plan) };
+  });
+
+  for (const { PartialClass, source, modulePath, members } of applied) {
+    callHook(PartialClass, onSupplement, mainClass, { members, source, modulePath, options });
+    callHook(mainClass, afterSupplement, PartialClass, members);
+  }
+  return applied.map(({ members }) => members);
+};
+
+// Options of supplement and supplementSync, used to tell a trailing options object from an object partial
+const SUPPLEMENT_OPTIONS = ['conflict', 'inherit', 'pick', 'target', 'base'];
+
+/**
+ * Tells an options object apart from a partial: only plain objects that are not module namespaces
+ * (or namespace-like objects with a `default` export) and hold nothing but known options as data
+ * properties qualify, and only `conflict` may hold a function, so an object of methods named like
+ * options stays a partial. Descriptors are inspected rather than values, so getters are never run.
+ */
+const isOptionsObject = (value) => {
+  if (value === null || typeof value !== 'object' || value[Symbol.toStringTag] === 'Module' || 'default' in value) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return false;
+  }
+  return Reflect.ownKeys(value).every((key) => {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    return SUPPLEMENT_OPTIONS.includes(key) && 'value' in descriptor
+      && (key === 'conflict' || typeof descriptor.value !== 'function');
+  });
+};
+
+/**
+ * Splits the arguments of supplement and supplementSync into the partials and the options.
+ *
+ * Partials are given either as one array or variadically. A trailing plain object of known
+ * options after at least one partial is the options object.
+ *
+ * @param {Array} args - The arguments following the main class
+ * @returns {{partials: Array, options: Object, batch: boolean}} The partials, the options and whether
+ *   several partials (or an array) were given
+ */
+const splitPartialArguments = (args) => {
+  const hasOptions = args.length > 1 && isOptionsObject(args[args.length - 1]);
+  const options = hasOptions ? args[args.length - 1] : {};
+  const partials = hasOptions ? args.slice(0, -1) : args;
+  if (partials.length === 1 && Array.isArray(partials[0])) {
+    return { partials: partials[0], options, batch: true };
+  }
+  return { partials, options, batch: partials.length > 1 };
+};
+
+/**
+ * Re-applies a partial file of a watched supplementAll directory after it was added, changed or deleted.
+ *
+ * The new version is imported before the old one is removed, so an edit that fails to
+ * load leaves the previous members in place. If the new version then fails to apply (a conflict,
+ * missing `requires` members or a throwing hook), it is rolled back and the previous version restored.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @param {string} directory - The watched directory
+ * @param {string} file - Path of the partial file relative to `directory`
+ * @param {Object} options - Supplementation options (see supplementAll)
+ * @param {Object} manifest - The supplementAll manifest, updated in place
+ * @returns {Promise<Object|undefined>} The watcher event to emit, if anything changed
+ */
+const reloadPartial = async (mainClass, directory, file, options, manifest) => {
+  const modulePath = path.join(directory, file);
+  addSupplementationMetadata(mainClass);
+  mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE]();
+
+  let failure;
+  try {
+    const applied = getSupplementHistory(mainClass).some((record) => record.modulePath === modulePath);
+    const exists = await fs.access(modulePath).then(() => true, () => false);
+    if (!exists) {
+      if (!applied) {
+        return undefined;
+      }
+      delete manifest[file];
+      return { type: 'delete', file, members: undefined, removed: unsupplement(mainClass, modulePath) };
+    }
+
+    const partials = await loadPartial(modulePath, { fresh: true, pick: options.pick });
+    const history = getSupplementHistory(mainClass);
+    const replaced = removeRecords(mainClass, (record) => record.modulePath === modulePath, true);
+    const length = history.length;
+    let members;
+    try {
+      [members] = applyGroups(mainClass, [partials], options);
+    } catch (error) {
+      // Keep the previous version: undo whatever the new one installed, then put the old records back
+      while (history.length > length) {
+        removeRecord(mainClass, history, history.length - 1);
+      }
+      for (const { index, record } of replaced.removed.reverse()) {
+        restoreRecord(mainClass, history, index, record);
+      }
+      throw error;
+    }
+    manifest[file] = members;
+    return { type: applied ? 'change' : 'add', file, members, removed: applied ? mergeMembers(replaced.members.reverse()) : undefined };
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE](failure);
+  }
+};
 
 /**
  * Supplements a main class with methods from a partial class.
  *
  * This function copies all static and instance methods from a partial class to a main class.
+ * Getters and setters are copied as accessor descriptors.
  * It supports both direct class references and dynamic imports via string paths.
  * The function automatically awaits dynamic imports and handles both default exports and direct exports.
+ * Instead of a class, a partial can be a mixin factory `(Base) => class extends Base {}`, whose `super`
+ * calls reach the main class's members as they were before the mixin, or a plain object of methods.
+ *
+ * Several partials can be applied at once, either as an array or as extra arguments. They are
+ * imported concurrently and applied in the listed order once all of them have loaded; conflicts
+ * across the whole batch are reported together, and nothing is applied if any partial fails to load.
+ * With several partials, options can only be passed after an array or after the last partial; a
+ * trailing object is read as options only if it holds nothing but known options (`conflict`, `inherit`,
+ * `pick`, `target`, `base`) as plain values, with a function allowed for `conflict` only, so objects of
+ * methods or accessors are read as partials.
  *
  * @async
  * @param {Function} mainClass - The target class to be supplemented with methods from the partial class
- * @param {Function|string|Promise<Function>} partialClass - The partial class, string path to partial class module, or promise resolving to a partial class
- * @returns {Promise<void>} A promise that resolves when the supplementation is complete
+ * @param {Function|Object|string|Promise<Function>|Array<Function|Object|string|Promise<Function>>} partialClass - The partial
+ *   class, mixin factory, object of methods, string path to partial class module, or promise resolving to a partial class,
+ *   or an array of them
+ * @param {...(Function|string|Promise<Function>|Object)} [rest] - More partials, optionally followed by the options object
+ * @param {Object} [options] - Supplementation options
+ * @param {string|Function} [options.conflict='override'] - What to do when a member already exists on the main class:
+ *   'override', 'skip', 'warn', 'error', or a resolver `(key, existing, incoming, meta) => descriptor` returning the descriptor to install (or nothing to keep the existing one)
+ * @param {boolean|number} [options.inherit=false] - Also copy members the partial inherits from its superclasses:
+ *   `true` for the whole chain (up to, not including, Object/Function) or the number of superclasses to include.
+ *   Members are applied from base to derived, so the partial's own overrides win
+ * @param {string|string[]} [options.pick] - Names of the module exports to apply. By default a module's class default
+ *   export is used, or else every class of an object default export or every named class export (see utils/exports.js)
+ * @param {string} [options.target='instance'] - Side of the main class objects of methods are applied to: 'instance' or 'static'
+ * @param {string|URL} [options.base] - What relative module paths are resolved against: `import.meta.url` of the calling
+ *   module, another file URL or a directory path. Defaults to the calling module, found by inspecting the stack
+ * @returns {Promise<{static: Array<string|symbol>, instance: Array<string|symbol>}|Array<{static: Array<string|symbol>, instance: Array<string|symbol>}>>}
+ *   A promise that resolves to the static and instance members installed on the main class, or to one such entry
+ *   per partial when an array or several partials were given
  *
  * @example
  * // Using with direct class reference
@@ -41,52 +495,303 @@ import * as tsImport from 'ts-import';
  *   }
  * }
  *
+ * @example
+ * // Apply several partials in order, reporting every conflict at once
+ * class MainClass {
+ *   static {
+ *     supplement(this, [ValidationPartial, import('./api.js'), './logger.js'], { conflict: 'warn' });
+ *   }
+ * }
+ *
+ * @example
+ * // Mixin factories and objects of methods
+ * await supplement(MainClass, (Base) => class extends Base { save() { this.touch(); return super.save(); } });
+ * await supplement(MainClass, { format() {}, parse() {} }, { target: 'static' });
+ *
+ * @example
+ * // class AdminPartial extends AuditPartial - copy AuditPartial's members too
+ * await supplement(MainClass, AdminPartial, { inherit: true });
+ *
+ * @example
+ * // Refuse to silently overwrite existing members
+ * await supplement(MainClass, PartialClass, { conflict: 'error' });
+ *
+ * @example
+ * // Wait for supplements started in a static block
+ * await whenSupplemented(MainClass);
+ *
  * @throws {Error} If the partial class cannot be imported or is invalid
+ * @throws {Error} If a member conflicts and the conflict option is 'error'; the message lists every conflict of the batch
  * @since 1.0.0
  */
-export async function supplement(mainClass, partialClass) {
+export function supplement(mainClass, ...partialClasses) {
+  const promise = supplementBatch(mainClass, partialClasses);
+  return reportUnobservedFailure(mainClass, promise);
+}
+
+/**
+ * Promise returned by supplement and supplementAll, which remembers whether anyone chained or awaited it.
+ * Promises derived from it are plain promises.
+ */
+class SupplementPromise extends Promise {
+  static get [Symbol.species]() {
+    return Promise;
+  }
+
+  then(onFulfilled, onRejected) {
+    this.observed = true;
+    return super.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Wraps the promise of a supplement so that a failure nobody observes is emitted as a process warning.
+ *
+ * Supplements started from a static block are usually not awaited; their failures can be observed
+ * through whenSupplemented. A failure is only left to the caller if the returned promise was awaited
+ * or chained, or whenSupplemented was called for the class, by the time it happens; otherwise it is
+ * reported with `process.emitWarning` rather than as an unhandled rejection.
+ */
+const reportUnobservedFailure = (mainClass, promise) => {
+  const isObserved = observeCompletion(mainClass);
+  const supplementPromise = new SupplementPromise((resolve) => resolve(promise));
+  // Mark it handled without counting as observed: the warning below takes the place of the unhandled rejection
+  Promise.prototype.then.call(supplementPromise, undefined, () => {});
+  promise.catch((error) => {
+    setImmediate(() => {
+      if (!supplementPromise.observed && !isObserved()) {
+        process.emitWarning(`Supplementing ${mainClass.name || 'class'} failed: ${error?.message ?? error}`, {
+          type: 'SupplementWarning',
+          detail: 'Await the promise or call whenSupplemented() to handle the failure.',
+        });
+      }
+    });
+  });
+  return supplementPromise;
+};
+
+/**
+ * Loads and applies the partials given to supplement.
+ */
+const supplementBatch = async (mainClass, partialClasses) => {
   addSupplementationMetadata(mainClass);
-  let partialClassOrPath = partialClass; // To debug
-  if (typeof partialClass === "string") {
-    if(partialClass.endsWith(".ts")) {
-      partialClass = tsImport.load(partialClass);
-    } else {
-      partialClass = import(partialClass);
-    }
+  mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE]();
+
+  let failure;
+  try {
+    // Before the first await, while the caller is still on the stack
+    const { partials: given, options, batch } = splitPartialArguments(partialClasses);
+    const partials = resolvePartialPaths(given, options.base);
+    const groups = await Promise.all(partials.map((partialClass) => loadPartial(partialClass, { pick: options.pick })));
+    const members = applyGroups(mainClass, groups, options);
+    return batch ? members : members[0];
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE](failure);
   }
-  partialClass = await partialClass;
-  const PartialClass = partialClass.default || partialClass;
+};
 
+/**
+ * Synchronously supplements a main class with methods from already imported partial classes.
+ *
+ * Unlike supplement, the members are installed before this function returns, so the main
+ * class can be instantiated right after its declaration. Partials are applied in the order given,
+ * as an array or as extra arguments, and conflicts across all of them are reported together.
+ *
+ * @param {Function} mainClass - The target class to be supplemented
+ * @param {...(Function|Function[]|Object)} partialClasses - Partial classes, mixin factories, objects of methods (or imported
+ *   module namespaces), or an array of them, optionally followed by the options object of supplement
+ * @returns {void}
+ *
+ * @example
+ * import ValidationPartial from './validation.js';
+ *
+ * class MainClass {
+ *   static {
+ *     supplementSync(this, ValidationPartial, UtilitiesPartial);
+ *   }
+ * }
+ *
+ * new MainClass().validateRequired('x'); // available immediately
+ *
+ * @example
+ * supplementSync(MainClass, [ValidationPartial, UtilitiesPartial], { conflict: 'error' });
+ *
+ * @throws {TypeError} If a partial is a module path, a promise or not a class; nothing is applied then
+ * @throws {Error} If a member conflicts and the conflict option is 'error'; nothing is applied then
+ * @since 1.2.0
+ */
+export function supplementSync(mainClass, ...partialClasses) {
+  const { partials, options } = splitPartialArguments(partialClasses);
+  const groups = partials.map((partialClass) => resolvePartialSync(partialClass, options.pick));
+
+  addSupplementationMetadata(mainClass);
   mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE]();
 
-  iterateDescriptors(PartialClass.prototype, ([key, value]) => {
-    if (!value.writable) {
-      return;
+  let failure;
+  try {
+    applyGroups(mainClass, groups, options);
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE](failure);
+  }
+}
+
+/**
+ * Rolls back the history record at `index` and returns the members it had installed.
+ */
+const removeRecord = (mainClass, history, index) => {
+  const [record] = history.splice(index, 1);
+  const members = { static: [], instance: [] };
+  for (const { side, key, previous, previousSource } of record.members) {
+    members[side].push(key);
+    // A later partial replaced this member: hand it what this partial had replaced
+    const later = history
+      .slice(index)
+      .flatMap((laterRecord) => laterRecord.members)
+      .find((member) => member.side === side && member.key === key);
+    const target = side === 'static' ? mainClass : mainClass.prototype;
+    if (later) {
+      later.previous = previous;
+      later.previousSource = previousSource;
+      // Advice composed over this member now advises what this partial had replaced
+      rebaseAdvice(later.descriptor, previous ?? findDescriptor(Object.getPrototypeOf(target), key));
+      continue;
+    }
+    if (previous) {
+      Object.defineProperty(target, key, previous);
+    } else {
+      delete target[key];
+    }
+    recordMemberSource(mainClass, side, key, previousSource);
+  }
+  if (record.initializer) {
+    removeFieldAccessors(mainClass, record.initializer);
+  }
+  return members;
+};
+
+/**
+ * Puts a record removed by removeRecord back at `index`, undoing the removal. The class must be in the
+ * state the removal left it in.
+ */
+const restoreRecord = (mainClass, history, index, record) => {
+  for (const { side, key, descriptor } of record.members) {
+    const later = history
+      .slice(index)
+      .flatMap((laterRecord) => laterRecord.members)
+      .find((member) => member.side === side && member.key === key);
+    if (later) {
+      later.previous = descriptor;
+      later.previousSource = record.source;
+      rebaseAdvice(later.descriptor, descriptor);
+      continue;
     }
-    mainClass.prototype[key] = value.value;
-  });
+    Object.defineProperty(side === 'static' ? mainClass : mainClass.prototype, key, descriptor);
+    recordMemberSource(mainClass, side, key, record.source);
+  }
+  history.splice(index, 0, record);
+  if (record.initializer) {
+    installFieldAccessors(mainClass, record.initializer);
+  }
+};
 
-  iterateDescriptors(PartialClass, ([key, value]) => {
-    if (!value.writable) {
-      return;
+/**
+ * Rolls back, latest first, the latest history record `matches` selects, or all of them with `all`.
+ *
+ * @returns {{removed: Array<{index: number, record: Object}>, members: Array<Object>}} The removed records with
+ *   their former indexes and the members each had installed, latest first
+ */
+const removeRecords = (mainClass, matches, all) => {
+  const history = getSupplementHistory(mainClass);
+  const removed = [];
+  const members = [];
+  for (let index = history.length - 1; index >= 0; index--) {
+    if (matches(history[index])) {
+      const record = history[index];
+      members.push(removeRecord(mainClass, history, index));
+      removed.push({ index, record });
+      if (!all) {
+        break;
+      }
     }
-    mainClass[key] = value.value;
-  });
+  }
+  return { removed, members };
+};
 
-  mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE]();
+/**
+ * Removes a previously applied partial class from a main class.
+ *
+ * Exactly the members installed by the latest application of the partial are removed and
+ * whatever they replaced is restored, including main-class originals the partial overrode.
+ * Members that a later partial has since overridden stay in place; rolling back that later
+ * partial will then restore what existed before this one.
+ *
+ * Given a module path, every partial class loaded from that module is removed, latest first,
+ * so modules exporting several partial classes are rolled back as a whole.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @param {Function|Object|string} partialClass - The partial class, mixin factory or object of methods, or the module path
+ *   it was loaded from
+ * @param {Object} [options]
+ * @param {string|URL} [options.base] - What a relative module path is resolved against (see supplement)
+ * @returns {{static: Array<string|symbol>, instance: Array<string|symbol>}} The members the partial had installed
+ *
+ * @example
+ * await supplement(MainClass, LoggingPartial);
+ * unsupplement(MainClass, LoggingPartial); // MainClass is back to its previous shape
+ *
+ * @throws {Error} If the partial has not been applied to the main class
+ * @since 1.2.0
+ */
+export function unsupplement(mainClass, partialClass, options = {}) {
+  const byPath = typeof partialClass === 'string';
+  const modulePath = byPath ? path.resolve(resolvePartialPaths([partialClass], options.base)[0]) : undefined;
+  const matches = (record) =>
+    byPath
+      ? record.modulePath !== undefined && path.resolve(record.modulePath) === modulePath
+      : record.partialClass === partialClass || record.origin === partialClass;
+  const { members: removed } = removeRecords(mainClass, matches, byPath);
+  if (!removed.length) {
+    const name = byPath ? partialClass : partialClass?.name || 'partial class';
+    throw new Error(`${name} has not been supplemented into ${mainClass.name || 'the main class'}`);
+  }
+  return mergeMembers(removed.reverse());
 }
 
 /**
  * Supplements a main class with methods from all partial classes in a directory.
  *
  * This function scans a directory for JavaScript and TypeScript files and automatically
- * supplements the main class with methods from each partial class found. It supports
- * various file extensions including .js, .ts, .mjs, and .cjs.
+ * supplements the main class with methods from each partial class found. It picks up every
+ * file a registered loader handles: .js, .mjs, .cjs, .ts, .mts, .cts, .jsx and .tsx out of the
+ * box, plus whatever registerLoader adds. Declaration files (.d.ts, .d.mts, .d.cts) are always skipped;
+ * subdirectories are scanned when `recursive` is set.
+ *
+ * Files are imported concurrently but applied in a deterministic order: by relative path,
+ * unless a partial declares `static priority` (lower applies first, so higher wins collisions)
+ * or `static after = ['other-partial']` to be applied after the named partials.
+ * `static requires` directives are checked once every file is applied, so a partial may rely on
+ * members of a file applied after it; files with missing members are rolled back and reported.
  *
  * @async
  * @param {Function} mainClass - The target class to be supplemented with methods from partial classes
- * @param {string} directory - The directory path to scan for partial class files. Should be the absolute path. Can be obtained using the myDir function.
- * @returns {Promise<void>} A promise that resolves after the supplementation is complete
+ * @param {string} directory - The directory path to scan for partial class files. Relative paths are resolved against
+ *   `options.base`, or else the directory of the calling module
+ * @param {Object} [options] - Supplementation options, passed on to supplement (see its `conflict` option)
+ * @param {string|URL} [options.base] - What a relative `directory` is resolved against (see supplement)
+ * @param {boolean} [options.recursive=false] - Whether to scan subdirectories as well
+ * @param {string|string[]} [options.include] - Glob patterns, relative to `directory`, a file must match to be loaded
+ * @param {string|string[]} [options.exclude] - Glob patterns, relative to `directory`, of files to skip (e.g. '**\/*.test.js')
+ * @param {boolean} [options.watch=false] - Keep watching the directory and hot-reload partial files that are added,
+ *   changed or deleted. supplementAll then resolves to a PartialWatcher (see utils/watch.js) instead of the manifest
+ * @returns {Promise<Object<string, {static: Array<string|symbol>, instance: Array<string|symbol>}>|PartialWatcher>} A promise that
+ *   resolves, once every partial has been applied, to a manifest keyed by file path (relative to `directory`) listing the
+ *   static and instance members each partial contributed, or to a PartialWatcher holding that manifest when `watch` is set
  *
  * @example
  * // Supplement with all partial classes in a directory
@@ -99,29 +804,152 @@ export async function supplement(mainClass, partialClass) {
  * @example
  * // Using with async/await
  * async function setupClass() {
- *   await supplementAll(MainClass, './partial-classes');
+ *   const manifest = await supplementAll(MainClass, './partial-classes');
+ *   // { 'validation.js': { static: ['validateEmail'], instance: ['validateRequired'] }, ... }
  * }
  *
- * @throws {Error} If the directory cannot be read or partial classes cannot be imported
+ * @example
+ * // Load partials/auth/*.js, partials/billing/*.js, ... but not their tests
+ * await supplementAll(MainClass, partialsDir, { recursive: true, exclude: '**\/*.test.js' });
+ *
+ * @example
+ * // partials/audit.js is always applied after partials/base.js
+ * export default class AuditPartial {
+ *   static after = ['base'];
+ * }
+ *
+ * @example
+ * // Development: hot-reload partials as they are edited
+ * const watcher = await supplementAll(MainClass, partialsDir, { watch: true });
+ * watcher.on('change', ({ file, members }) => console.log(`Reloaded ${file}`, members));
+ * // ...
+ * await watcher.close();
+ *
+ * @throws {Error} If the directory cannot be read, an `after` entry matches no partial, or `after` lists form a cycle
+ * @throws {AggregateError} If any partial class cannot be imported or applied; `errors` holds one error per failing file
  * @since 1.0.0
  */
-export async function supplementAll(mainClass, directory) {
-  const files = await fs.readdir(directory);
+export function supplementAll(mainClass, directory, options = {}) {
+  const promise = supplementDirectory(mainClass, directory, options);
+  return reportUnobservedFailure(mainClass, promise);
+}
+
+/**
+ * Scans, loads and applies the partial files given to supplementAll.
+ */
+const supplementDirectory = async (mainClass, directory, options) => {
+  addSupplementationMetadata(mainClass);
+  mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE]();
 
-  // Define valid file extensions for partial classes
-  const validExtensions = ['.js', '.ts', '.mjs', '.cjs'];
-  
-  for (const file of files) {
-    // Use flexible extension checking for better compatibility
-    const fileExtension = path.extname(file);
-    if (validExtensions.includes(fileExtension)) {
-      const modulePath = path.join(directory, file);
-      supplement(mainClass, modulePath);
+  let failure;
+  try {
+    // Before the first await, while the caller is still on the stack
+    if (!path.isAbsolute(directory)) {
+      directory = path.resolve(resolveBaseDirectory(options.base), directory);
     }
+
+    const scanOptions = {
+      // Only files a registered loader handles
+      loadable: (file) => hasLoader(path.join(directory, file)),
+      recursive: options.recursive,
+      include: options.include,
+      exclude: options.exclude,
+    };
+    const partialFiles = (await listPartialFiles(directory, scanOptions)).sort();
+
+    // Import concurrently, but apply in a deterministic order once everything is loaded
+    const results = await Promise.allSettled(
+      partialFiles.map((file) => loadPartial(path.join(directory, file), { pick: options.pick }))
+    );
+
+    const failedFiles = [];
+    const errors = [];
+    const fail = (file, error) => {
+      failedFiles.push(file);
+      errors.push(createErrorWithCause(`${file}: ${error?.message ?? error}`, error));
+    };
+
+    const loaded = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        loaded.push({ file: partialFiles[index], partials: result.value });
+      } else {
+        fail(partialFiles[index], result.reason);
+      }
+    });
+
+    const manifest = {};
+    const requirements = new Map();
+    for (const { file, partials } of orderPartials(loaded, partialFiles)) {
+      try {
+        const deferred = [];
+        [manifest[file]] = applyGroups(mainClass, [partials], options, deferred);
+        requirements.set(file, deferred);
+      } catch (error) {
+        fail(file, error);
+      }
+    }
+
+    // A partial may require members of a file applied after it, so requirements are checked once every
+    // file is in. Files with missing members are rolled back, which may leave others short in turn
+    for (let unmet = true; unmet;) {
+      unmet = false;
+      for (const [file, deferred] of requirements) {
+        try {
+          verifyRequirements(mainClass, deferred, { instance: new Map(), static: new Map() });
+        } catch (error) {
+          unmet = true;
+          requirements.delete(file);
+          delete manifest[file];
+          unsupplement(mainClass, path.join(directory, file));
+          fail(file, error);
+        }
+      }
+    }
+
+    if (errors.length) {
+      throw createAggregateError(
+        errors,
+        `Failed to supplement ${mainClass.name || 'class'} from ${directory}: ${failedFiles.join(', ')}`
+      );
+    }
+    if (options.watch) {
+      return new PartialWatcher(directory, {
+        recursive: options.recursive,
+        accept: (file) => isPartialFile(file, scanOptions),
+        reload: (file) => reloadPartial(mainClass, directory, file, options, manifest),
+        manifest,
+      });
+    }
+    return manifest;
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE](failure);
   }
-}
+};
 
-export { iterateDescriptors, SUPPLEMENTED_SYMBOLS, myDir };
+export {
+  iterateDescriptors,
+  SUPPLEMENTED_SYMBOLS,
+  onSupplement,
+  beforeSupplement,
+  afterSupplement,
+  partialInit,
+  initializeInstance,
+  partialState,
+  CONFLICT_MODES,
+  ADVICE_KINDS,
+  OBJECT_TARGETS,
+  registerLoader,
+  generateTypes,
+  myDir,
+  whenSupplemented,
+  isSupplemented,
+  getSupplementInfo,
+  PartialWatcher,
+};
 
 // Re-export types for TypeScript users
 export * from './types.js';
\ No newline at end of file
@@ -0,0 +1,276 @@
+import { supplement, supplementSync, unsupplement, partialInit, ADVICE_KINDS } from '../index.js';
+
+/**
+ * Test suite for before / after / around advice
+ */
+class AdviceTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createMainClass(calls) {
+    return class Repository {
+      static create(data) {
+        calls.push(`create ${data.name}`);
+        return { ...data, id: 1 };
+      }
+
+      save(record) {
+        calls.push(`save ${record}`);
+        return `saved ${record}`;
+      }
+    };
+  }
+
+  // Test cases
+  async testBeforeAdvice() {
+    console.log('\n🧪 Testing before advice...');
+
+    const calls = [];
+    const MainClass = this.createMainClass(calls);
+    class ValidationPartial {
+      static advice = { static: { create: 'before' } };
+
+      static create(data) {
+        calls.push(`validate ${data.name}`);
+        if (!data.name) {
+          throw new Error('name is required');
+        }
+      }
+    }
+    await supplement(MainClass, ValidationPartial);
+
+    this.assertEqual(MainClass.create({ name: 'a' }).id, 1, 'Before advice should keep the original result');
+    this.assertEqual(calls.join(','), 'validate a,create a', 'Before advice should run first with the same arguments');
+    try {
+      MainClass.create({ name: '' });
+      this.assert(false, 'Throwing before advice should prevent the call');
+    } catch (error) {
+      this.assertEqual(error.message, 'name is required', 'Before advice errors should propagate');
+    }
+    this.assert(!Object.prototype.hasOwnProperty.call(MainClass, 'advice'), 'The advice directive should not be copied');
+  }
+
+  async testAfterAdvice() {
+    console.log('\n🧪 Testing after advice...');
+
+    const calls = [];
+    const MainClass = this.createMainClass(calls);
+    class AuditPartial {
+      static advice = { instance: { save: 'after' } };
+
+      save(result, record) {
+        calls.push(`audit ${record}: ${result}`);
+      }
+    }
+    class UppercasePartial {
+      static advice = { instance: { save: 'after' } };
+
+      save(result) {
+        return result.toUpperCase();
+      }
+    }
+    await supplement(MainClass, [AuditPartial, UppercasePartial]);
+
+    this.assertEqual(new MainClass().save('x'), 'SAVED X', 'After advice returning a value should replace the result');
+    this.assertEqual(calls.join(','), 'save x,audit x: saved x', 'After advice should receive the result and arguments');
+  }
+
+  async testAroundAdvice() {
+    console.log('\n🧪 Testing around advice...');
+
+    const calls = [];
+    const MainClass = this.createMainClass(calls);
+    class LoggingPartial {
+      static advice = { instance: { save: 'around' } };
+
+      save(next, record) {
+        calls.push(`start ${record}`);
+        const result = next(`${record}!`);
+        calls.push('end');
+        return `${result} (logged by ${this.constructor.name})`;
+      }
+    }
+    supplementSync(MainClass, LoggingPartial);
+
+    this.assertEqual(new MainClass().save('x'), 'saved x! (logged by Repository)', 'Around advice should control the call and keep this');
+    this.assertEqual(calls.join(','), 'start x,save x!,end', 'next should call the original with the given arguments');
+    this.assertEqual(MainClass.prototype.save.name, 'save', 'Composed methods should keep their name');
+  }
+
+  async testInheritedImplementation() {
+    console.log('\n🧪 Testing advice on inherited methods...');
+
+    const calls = [];
+    const Base = this.createMainClass(calls);
+    class MainClass extends Base {}
+    class LoggingPartial {
+      static advice = { instance: { save: 'before' } };
+
+      save(record) {
+        calls.push(`log ${record}`);
+      }
+    }
+    await supplement(MainClass, LoggingPartial);
+    new MainClass().save('x');
+
+    this.assertEqual(calls.join(','), 'log x,save x', 'Advice should extend inherited implementations');
+
+    unsupplement(MainClass, LoggingPartial);
+    this.assert(!Object.prototype.hasOwnProperty.call(MainClass.prototype, 'save'), 'unsupplement should remove the composed method');
+    this.assertEqual(new MainClass().save('y'), 'saved y', 'The inherited implementation should be used again');
+  }
+
+  async testRollbackUnderAdvice() {
+    console.log('\n🧪 Testing rollback of an advised member...');
+
+    class APartial {
+      save() {
+        return 'A';
+      }
+    }
+    class LogPartial {
+      static advice = { instance: { save: 'around' } };
+
+      save(next) {
+        return `log(${next()})`;
+      }
+    }
+
+    const MainClass = class Main {
+      save() {
+        return 'main';
+      }
+    };
+    supplementSync(MainClass, APartial);
+    supplementSync(MainClass, LogPartial);
+    this.assertEqual(new MainClass().save(), 'log(A)', 'Advice should wrap the partial method');
+
+    unsupplement(MainClass, APartial);
+    this.assertEqual(new MainClass().save(), 'log(main)', 'Advice should wrap what the removed partial had replaced');
+
+    class InitLogPartial {
+      static advice = { instance: { save: 'around' } };
+
+      [partialInit]() {
+        this.saves = 0;
+      }
+
+      save(next) {
+        this.saves++;
+        return `log(${next()})`;
+      }
+    }
+    const Initialized = class Initialized {
+      save() {
+        return 'main';
+      }
+    };
+    supplementSync(Initialized, APartial);
+    supplementSync(Initialized, InitLogPartial);
+    unsupplement(Initialized, APartial);
+    const instance = new Initialized();
+    this.assertEqual(instance.save(), 'log(main)', 'Advice of a partial with [partialInit] should wrap what the removed partial had replaced');
+    this.assertEqual(instance.saves, 1, 'Advice of a partial with [partialInit] should still initialize the instance');
+
+    const Bare = class Bare {};
+    supplementSync(Bare, APartial);
+    supplementSync(Bare, LogPartial);
+    unsupplement(Bare, APartial);
+    try {
+      new Bare().save();
+      this.assert(false, 'Should throw when the advised method has been removed');
+    } catch (error) {
+      this.assert(error instanceof TypeError && error.message.includes('removed'), 'Should throw TypeError when the advised method has been removed');
+    }
+
+    class AdvicePartial {
+      static advice(method) {
+        return `advising ${method}`;
+      }
+    }
+    const Helper = class Helper {};
+    supplementSync(Helper, AdvicePartial);
+    this.assertEqual(Helper.advice('save'), 'advising save', 'A static advice method should be copied, not read as a directive');
+  }
+
+  async testInvalidAdvice() {
+    console.log('\n🧪 Testing invalid advice...');
+
+    const MainClass = this.createMainClass([]);
+    const attempts = [
+      ['an unknown kind', class { static advice = { instance: { save: 'instead' } }; save() {} }],
+      ['a missing original', class { static advice = { instance: { load: 'around' } }; load() {} }],
+      ['a missing advice member', class { static advice = { instance: { save: 'around' } }; }],
+      ['an unknown side', class { static advice = { prototype: { save: 'around' } }; save() {} }],
+    ];
+    for (const [label, PartialClass] of attempts) {
+      try {
+        await supplement(MainClass, PartialClass);
+        this.assert(false, `Should reject ${label}`);
+      } catch (error) {
+        this.assert(error instanceof TypeError, `Should throw TypeError for ${label}`);
+      }
+    }
+    this.assertEqual(ADVICE_KINDS.join(','), 'before,after,around', 'ADVICE_KINDS should list the advice kinds');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting advice tests...\n');
+
+    try {
+      await this.testBeforeAdvice();
+      await this.testAfterAdvice();
+      await this.testAroundAdvice();
+      await this.testInheritedImplementation();
+      await this.testRollbackUnderAdvice();
+      await this.testInvalidAdvice();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All advice tests passed!');
+      } else {
+        console.log('\n❌ Some advice tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new AdviceTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,160 @@
+import { supplement, supplementAll, unsupplement, getSupplementInfo, myDir } from '../index.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Test suite for the getSupplementInfo function
+ */
+class GetSupplementInfoTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+    this.testDir = path.join(myDir(import.meta.url), 'test-info-partials');
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createMainClass() {
+    return class MainClass {
+      save() {
+        return 'main save';
+      }
+    };
+  }
+
+  // Test cases
+  async testMemberOrigins() {
+    console.log('\n🧪 Testing member origins...');
+
+    const MainClass = this.createMainClass();
+    class ValidationPartial {
+      static validate() {}
+
+      save() {
+        return 'validation save';
+      }
+    }
+    class LoggingPartial {
+      save() {
+        return 'logging save';
+      }
+
+      [Symbol.iterator]() {}
+    }
+    await supplement(MainClass, [ValidationPartial, LoggingPartial]);
+    const info = getSupplementInfo(MainClass);
+
+    this.assertEqual(info.partials.map(({ name }) => name).join(','), 'ValidationPartial,LoggingPartial', 'Partials should be listed in application order');
+    this.assertEqual(info.partials[0].members.instance.join(','), 'save', 'Each partial should list the members it installed');
+
+    const save = info.members.instance.get('save');
+    this.assertEqual(save.name, 'LoggingPartial', 'A member should be attributed to the partial applied last');
+    this.assertEqual(save.order, 1, 'A member should report the application order of its partial');
+    this.assertEqual(save.overrode, true, 'A member replacing another should be marked as overriding');
+    this.assertEqual(save.replaced, 'ValidationPartial', 'A member should report the source it replaced');
+
+    const validate = info.members.static.get('validate');
+    this.assertEqual(validate.overrode, false, 'A new member should not be marked as overriding');
+    this.assertEqual(validate.replaced, undefined, 'A new member should not report a replaced source');
+    this.assertEqual(info.members.instance.get(Symbol.iterator)?.name, 'LoggingPartial', 'Symbol-keyed members should be included');
+  }
+
+  async testModulePaths() {
+    console.log('\n🧪 Testing module paths...');
+
+    await fs.mkdir(this.testDir, { recursive: true });
+    await fs.writeFile(path.join(this.testDir, 'audit.js'), 'export default class AuditPartial { save() { return "audit"; } }');
+    try {
+      const MainClass = this.createMainClass();
+      await supplementAll(MainClass, this.testDir);
+      const save = getSupplementInfo(MainClass).members.instance.get('save');
+
+      this.assertEqual(save.name, 'AuditPartial', 'Partials loaded from files should report their class name');
+      this.assertEqual(save.modulePath, path.join(this.testDir, 'audit.js'), 'Partials loaded from files should report their module path');
+      this.assertEqual(save.replaced, 'MainClass', 'Overriding a main-class member should report the main class');
+    } finally {
+      await fs.rm(this.testDir, { recursive: true, force: true });
+    }
+  }
+
+  async testAfterUnsupplement() {
+    console.log('\n🧪 Testing info after unsupplement...');
+
+    const MainClass = this.createMainClass();
+    class FirstPartial {
+      save() {}
+    }
+    class SecondPartial {
+      save() {}
+    }
+    await supplement(MainClass, [FirstPartial, SecondPartial]);
+    unsupplement(MainClass, SecondPartial);
+    const info = getSupplementInfo(MainClass);
+
+    this.assertEqual(info.partials.length, 1, 'Removed partials should no longer be listed');
+    this.assertEqual(info.members.instance.get('save').name, 'FirstPartial', 'Members should be attributed to the remaining partial');
+  }
+
+  async testNeverSupplemented() {
+    console.log('\n🧪 Testing classes that were never supplemented...');
+
+    const info = getSupplementInfo(this.createMainClass());
+
+    this.assertEqual(info.partials.length, 0, 'No partials should be listed');
+    this.assertEqual(info.members.instance.size + info.members.static.size, 0, 'No members should be listed');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting getSupplementInfo function tests...\n');
+
+    try {
+      await this.testMemberOrigins();
+      await this.testModulePaths();
+      await this.testAfterUnsupplement();
+      await this.testNeverSupplemented();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All getSupplementInfo tests passed!');
+      } else {
+        console.log('\n❌ Some getSupplementInfo tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new GetSupplementInfoTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,208 @@
+import { supplement, supplementSync, onSupplement, beforeSupplement, afterSupplement } from '../index.js';
+
+/**
+ * Test suite for the lifecycle hooks
+ */
+class HooksTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createRecordingClasses() {
+    const calls = [];
+
+    class MainClass {
+      static [beforeSupplement](partialClass, members) {
+        calls.push({ hook: 'before', self: this, partialClass, members, installed: 'save' in this.prototype });
+      }
+
+      static [afterSupplement](partialClass, members) {
+        calls.push({ hook: 'after', self: this, partialClass, members });
+      }
+    }
+
+    class PersistencePartial {
+      static [onSupplement](mainClass, context) {
+        calls.push({ hook: 'on', self: this, mainClass, context, installed: 'save' in mainClass.prototype });
+      }
+
+      static table() {
+        return 'users';
+      }
+
+      save() {
+        return 'saved';
+      }
+    }
+
+    return { calls, MainClass, PersistencePartial };
+  }
+
+  // Test cases
+  async testHookOrder() {
+    console.log('\n🧪 Testing hook order and arguments...');
+
+    const { calls, MainClass, PersistencePartial } = this.createRecordingClasses();
+    await supplement(MainClass, PersistencePartial, { conflict: 'skip' });
+
+    this.assertEqual(calls.map(({ hook }) => hook).join(','), 'before,on,after', 'Hooks should run before, on, after');
+    this.assertEqual(calls[0].installed, false, 'beforeSupplement should run before members are installed');
+    this.assertEqual(calls[0].partialClass, PersistencePartial, 'beforeSupplement should receive the partial');
+    this.assertEqual(calls[0].members.instance.join(','), 'save', 'beforeSupplement should receive the member list');
+    this.assertEqual(calls[0].self, MainClass, 'Main class hooks should be called with the main class as this');
+    this.assertEqual(calls[1].installed, true, 'onSupplement should run after members are installed');
+    this.assertEqual(calls[1].self, PersistencePartial, 'onSupplement should be called with the partial as this');
+    this.assertEqual(calls[1].mainClass, MainClass, 'onSupplement should receive the main class');
+    this.assertEqual(calls[1].context.members.static.join(','), 'table', 'onSupplement context should list the members');
+    this.assertEqual(calls[1].context.options.conflict, 'skip', 'onSupplement context should hold the options');
+    this.assertEqual(calls[2].members.instance.join(','), 'save', 'afterSupplement should receive the member list');
+  }
+
+  async testHooksNotCopied() {
+    console.log('\n🧪 Testing hooks are not copied...');
+
+    const { MainClass, PersistencePartial } = this.createRecordingClasses();
+    const members = await supplement(MainClass, PersistencePartial);
+
+    this.assert(!Object.prototype.hasOwnProperty.call(MainClass, onSupplement), 'onSupplement should not be copied to the main class');
+    this.assertEqual(members.static.includes(onSupplement), false, 'onSupplement should not be listed as a member');
+  }
+
+  async testBatchOrder() {
+    console.log('\n🧪 Testing hooks for several partials...');
+
+    const order = [];
+    class MainClass {
+      static [beforeSupplement](partialClass) {
+        order.push(`before ${partialClass.name}`);
+      }
+
+      static [afterSupplement](partialClass) {
+        order.push(`after ${partialClass.name}`);
+      }
+    }
+    class First {
+      static [onSupplement](mainClass) {
+        order.push(`on First sees second: ${typeof mainClass.prototype.second}`);
+      }
+
+      first() {}
+    }
+    class Second {
+      static [onSupplement]() {
+        order.push('on Second');
+      }
+
+      second() {}
+    }
+
+    supplementSync(MainClass, First, Second);
+
+    this.assertEqual(
+      order.join(' | '),
+      'before First | before Second | on First sees second: function | after First | on Second | after Second',
+      'Hooks should run in application order once every partial is installed'
+    );
+  }
+
+  async testBeforeHookAborts() {
+    console.log('\n🧪 Testing beforeSupplement aborting...');
+
+    class MainClass {
+      static [beforeSupplement](partialClass) {
+        if (partialClass.name === 'Forbidden') {
+          throw new Error('Forbidden partial');
+        }
+      }
+    }
+    class Allowed {
+      allowed() {}
+    }
+    class Forbidden {
+      forbidden() {}
+    }
+
+    try {
+      await supplement(MainClass, [Allowed, Forbidden]);
+      this.assert(false, 'supplement should reject when beforeSupplement throws');
+    } catch (error) {
+      this.assertEqual(error.message, 'Forbidden partial', 'supplement should reject with the hook error');
+    }
+    this.assert(!('allowed' in MainClass.prototype), 'Nothing should be applied when beforeSupplement throws');
+  }
+
+  async testInvalidHook() {
+    console.log('\n🧪 Testing invalid hooks...');
+
+    class MainClass {}
+    class Partial {
+      static [onSupplement] = 'not a function';
+    }
+
+    try {
+      await supplement(MainClass, Partial);
+      this.assert(false, 'supplement should reject for a hook that is not a function');
+    } catch (error) {
+      this.assert(error instanceof TypeError, 'Should throw TypeError for a hook that is not a function');
+      this.assert(error.message.includes('onSupplement'), 'Error should name the hook');
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting lifecycle hook tests...\n');
+
+    try {
+      await this.testHookOrder();
+      await this.testHooksNotCopied();
+      await this.testBatchOrder();
+      await this.testBeforeHookAborts();
+      await this.testInvalidHook();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All lifecycle hook tests passed!');
+      } else {
+        console.log('\n❌ Some lifecycle hook tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new HooksTestSuite();
+testSuite.runAllTests();
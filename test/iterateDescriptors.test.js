@@ -164,7 +164,8 @@ class IterateDescriptorsTestSuite {
     this.assert(staticDescriptors.some(d => d.key === 'staticMethod'), 'Should find static method');
     this.assert(staticDescriptors.some(d => d.key === 'staticProperty'), 'Should find static property');
     this.assert(instanceDescriptors.some(d => d.key === 'instanceMethod'), 'Should find instance method');
-    this.assert(instanceDescriptors.some(d => d.key === 'instanceProperty'), 'Should find instance property');
+    // Instance fields are defined on each instance, not on the prototype
+    this.assert(!instanceDescriptors.some(d => d.key === 'instanceProperty'), 'Should not find instance property on the prototype');
   }
 
   testClassWithNonWritableProperties() {
@@ -240,6 +241,40 @@ class IterateDescriptorsTestSuite {
     this.assertEqual(typeof descriptorStructure.value, 'function', 'Value should be a function');
   }
 
+  testSymbolKeys() {
+    console.log('\n🧪 Testing symbol keys...');
+    
+    const customKey = Symbol('custom');
+    const TestClass = class {
+      static [Symbol.hasInstance](instance) {
+        return false;
+      }
+      
+      *[Symbol.iterator]() {
+        yield 1;
+      }
+      
+      [customKey]() {}
+      
+      namedMethod() {}
+    };
+    
+    const staticKeys = [];
+    iterateDescriptors(TestClass, ([key, descriptor]) => {
+      staticKeys.push(key);
+    });
+    
+    const instanceKeys = [];
+    iterateDescriptors(TestClass.prototype, ([key, descriptor]) => {
+      instanceKeys.push(key);
+    });
+    
+    this.assert(staticKeys.includes(Symbol.hasInstance), 'Should find static Symbol.hasInstance');
+    this.assert(instanceKeys.includes(Symbol.iterator), 'Should find Symbol.iterator method');
+    this.assert(instanceKeys.includes(customKey), 'Should find custom symbol method');
+    this.assert(instanceKeys.includes('namedMethod'), 'Should still find string keys');
+  }
+
   testNullAndUndefined() {
     console.log('\n🧪 Testing null and undefined handling...');
     
@@ -270,6 +305,7 @@ class IterateDescriptorsTestSuite {
       this.testClassWithNonWritableProperties();
       this.testCallbackFunctionality();
       this.testDescriptorStructure();
+      this.testSymbolKeys();
       this.testNullAndUndefined();
       
       console.log(`\n📊 Test Results:`);
@@ -281,10 +317,12 @@ class IterateDescriptorsTestSuite {
         console.log('\n🎉 All iterateDescriptors tests passed!');
       } else {
         console.log('\n❌ Some iterateDescriptors tests failed!');
+        process.exitCode = 1;
       }
       
     } catch (error) {
       console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
     }
   }
 }
@@ -0,0 +1,295 @@
+import { supplement, supplementAll, registerLoader, myDir } from '../index.js';
+import fs from 'fs/promises';
+import path from 'path';
+import module from 'module';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pathToFileURL } from 'url';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Test suite for the partial file loader registry
+ */
+class LoadersTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+    this.testDir = path.join(myDir(import.meta.url), 'test-loaders');
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Setup and teardown
+  async createPartialDirectory(name, files) {
+    const directory = path.join(this.testDir, name);
+    await fs.mkdir(directory, { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(directory, file), content);
+    }
+    return directory;
+  }
+
+  async cleanupTestDirectory() {
+    await fs.rm(this.testDir, { recursive: true, force: true });
+  }
+
+  // Test loaders
+  async loadJsonPartial(file) {
+    const values = JSON.parse(await fs.readFile(file, 'utf8'));
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, () => value]));
+  }
+
+  // Test cases
+  async testBuiltInExtensions() {
+    console.log('\n🧪 Testing built-in loaders...');
+
+    const directory = await this.createPartialDirectory('built-in', {
+      'module.mts': "export default class ModulePartial { fromMts(): string { return 'mts'; } }",
+      'common.cts': "export default class CommonPartial { fromCts(): string { return 'cts'; } }",
+      'view.jsx': "const React = { createElement: (tag) => `<${tag}>` };\nexport default class ViewPartial { render() { return <div />; } }",
+      'typed-view.tsx': "const React = { createElement: (tag: string) => `<${tag}>` };\nexport default class TypedViewPartial { renderTyped(): unknown { return <span />; } }",
+      'module.d.mts': 'export default class ModulePartial { fromMts(): string; }',
+      'common.d.cts': 'export default class CommonPartial { fromCts(): string; }',
+    });
+
+    const MainClass = class MainClass {};
+    const manifest = await supplementAll(MainClass, directory);
+    const instance = new MainClass();
+
+    this.assertEqual(Object.keys(manifest).length, 4, 'supplementAll should pick up .mts, .cts, .jsx and .tsx files');
+    this.assert(!('module.d.mts' in manifest) && !('common.d.cts' in manifest), 'supplementAll should skip .d.mts and .d.cts declaration files');
+    this.assertEqual(instance.fromMts() + instance.fromCts(), 'mtscts', '.mts and .cts partials should be applied');
+    this.assertEqual(instance.render(), '<div>', '.jsx partials should be compiled');
+    this.assertEqual(instance.renderTyped(), '<span>', '.tsx partials should be compiled');
+  }
+
+  async testTypeScriptReload() {
+    console.log('\n🧪 Testing hot reload of TypeScript partials...');
+
+    const directory = await this.createPartialDirectory('reload', {
+      'greeting.ts': "export default class Greeting { greet(): string { return 'hello'; } }",
+      'view.tsx': "const React = { createElement: (tag: string) => `<${tag}>` };\nexport default class View { render(): unknown { return <div />; } }",
+    });
+    const MainClass = class MainClass {};
+    const watcher = await supplementAll(MainClass, directory, { watch: true });
+    try {
+      for (const [file, source, check, expected] of [
+        ['greeting.ts', "export default class Greeting { greet(): string { return 'hi'; } }", (instance) => instance.greet(), 'hi'],
+        [
+          'view.tsx',
+          "const React = { createElement: (tag: string) => `<${tag}>` };\nexport default class View { render(): unknown { return <span />; } }",
+          (instance) => instance.render(),
+          '<span>',
+        ],
+      ]) {
+        const changed = new Promise((resolve, reject) => {
+          watcher.once('change', resolve);
+          watcher.once('error', reject);
+        });
+        await fs.writeFile(path.join(directory, file), source);
+        await changed;
+        this.assertEqual(check(new MainClass()), expected, `Reloading ${file} should apply the edited version`);
+      }
+    } catch (error) {
+      this.assert(false, `TypeScript reload failed: ${error.message}`);
+    } finally {
+      await watcher.close();
+    }
+  }
+
+  async testCustomExtension() {
+    console.log('\n🧪 Testing a custom extension...');
+
+    const directory = await this.createPartialDirectory('json', {
+      'settings.json': '{ "retries": 3 }',
+    });
+
+    const unregister = registerLoader('json', this.loadJsonPartial);
+    try {
+      const MainClass = class MainClass {};
+      const manifest = await supplementAll(MainClass, directory);
+      this.assertEqual(new MainClass().retries(), 3, 'supplementAll should use the registered loader');
+      this.assertEqual(Object.keys(manifest).join(','), 'settings.json', 'Registered extensions should be scanned');
+
+      const Direct = class Direct {};
+      await supplement(Direct, path.join(directory, 'settings.json'));
+      this.assertEqual(new Direct().retries(), 3, 'supplement should use the registered loader');
+    } finally {
+      unregister();
+    }
+
+    const manifest = await supplementAll(class {}, directory);
+    this.assertEqual(Object.keys(manifest).length, 0, 'Unregistered extensions should no longer be scanned');
+  }
+
+  async testMatchers() {
+    console.log('\n🧪 Testing RegExp and function matchers...');
+
+    const directory = await this.createPartialDirectory('matchers', {
+      'limits.partial': '{ "limit": 10 }',
+      'other.data': '{ "other": 1 }',
+    });
+
+    const seen = [];
+    const unregisterRegExp = registerLoader(/\.partial$/, this.loadJsonPartial);
+    const unregisterFunction = registerLoader(
+      (modulePath) => path.basename(modulePath) === 'other.data',
+      (modulePath, context) => {
+        seen.push(context);
+        return this.loadJsonPartial(modulePath);
+      }
+    );
+    try {
+      const MainClass = class MainClass {};
+      await supplementAll(MainClass, directory);
+      this.assertEqual(new MainClass().limit(), 10, 'RegExp matchers should select files');
+      this.assertEqual(new MainClass().other(), 1, 'Function matchers should select files');
+      this.assertEqual(seen[0]?.fresh, false, 'Loaders should be told whether to bypass caches');
+    } finally {
+      unregisterRegExp();
+      unregisterFunction();
+    }
+  }
+
+  async testOverride() {
+    console.log('\n🧪 Testing overriding a built-in loader...');
+
+    const directory = await this.createPartialDirectory('override', {
+      'plain.js': "export default class Plain { plain() { return 'native'; } }",
+    });
+
+    const unregister = registerLoader('.js', () => class Replaced {
+      plain() {
+        return 'custom';
+      }
+    });
+    try {
+      const MainClass = class MainClass {};
+      await supplementAll(MainClass, directory);
+      this.assertEqual(new MainClass().plain(), 'custom', 'Later loaders should take precedence');
+    } finally {
+      unregister();
+    }
+
+    const Restored = class Restored {};
+    await supplementAll(Restored, directory);
+    this.assertEqual(new Restored().plain(), 'native', 'Unregistering should restore the built-in loader');
+  }
+
+  async testWithoutTsImport() {
+    console.log('\n🧪 Testing without ts-import installed...');
+
+    if (typeof module.register !== 'function') {
+      console.log('⏭️  Skipped: module customization hooks need Node.js 20.6+');
+      return;
+    }
+
+    const directory = await this.createPartialDirectory('no-ts-import', {
+      'plain.js': "export default class Plain { plain() { return 'plain'; } }",
+      'typed.ts': "export default class Typed { typed(): string { return 'typed'; } }",
+    });
+    // Makes 'ts-import' unresolvable, as if it had not been installed
+    const hooks = `export async function resolve(specifier, context, next) {
+      if (specifier === 'ts-import') {
+        throw Object.assign(new Error('Cannot find package ts-import'), { code: 'ERR_MODULE_NOT_FOUND' });
+      }
+      return next(specifier, context);
+    }`;
+    const script = `
+      import { register } from 'module';
+      register('data:text/javascript,' + encodeURIComponent(${JSON.stringify(hooks)}));
+      const { supplement } = await import(${JSON.stringify(pathToFileURL(path.resolve(myDir(import.meta.url), '../index.js')).href)});
+      const Main = class {};
+      await supplement(Main, ${JSON.stringify(path.join(directory, 'plain.js'))});
+      console.log(new Main().plain());
+      await supplement(Main, ${JSON.stringify(path.join(directory, 'typed.ts'))}).catch((error) => console.log(error.message));
+    `;
+    const { stdout } = await execFileAsync(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 });
+    const [plain, message = ''] = stdout.trim().split('\n');
+
+    this.assertEqual(plain, 'plain', 'JavaScript partials should load without ts-import');
+    if (process.features?.typescript) {
+      this.assertEqual(message, '', 'TypeScript partials should fall back to native type stripping');
+    } else {
+      this.assert(message.includes('npm install ts-import'), 'The error should say what to install');
+      this.assert(message.includes('typed.ts'), 'The error should name the partial file');
+    }
+  }
+
+  async testInvalidLoaders() {
+    console.log('\n🧪 Testing invalid registrations...');
+
+    const invalid = [
+      ['a missing load function', () => registerLoader('.json')],
+      ['an empty extension', () => registerLoader('', () => {})],
+      ['a number matcher', () => registerLoader(42, () => {})],
+    ];
+    for (const [label, register] of invalid) {
+      try {
+        register();
+        this.assert(false, `Should reject ${label}`);
+      } catch (error) {
+        this.assert(error instanceof TypeError, `Should throw TypeError for ${label}`);
+      }
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting loader tests...\n');
+
+    try {
+      await this.testBuiltInExtensions();
+      await this.testTypeScriptReload();
+      await this.testCustomExtension();
+      await this.testMatchers();
+      await this.testOverride();
+      await this.testWithoutTsImport();
+      await this.testInvalidLoaders();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All loader tests passed!');
+      } else {
+        console.log('\n❌ Some loader tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    } finally {
+      await this.cleanupTestDirectory();
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new LoadersTestSuite();
+testSuite.runAllTests();
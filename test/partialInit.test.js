@@ -0,0 +1,290 @@
+import { supplement, supplementSync, unsupplement, partialInit, initializeInstance } from '../index.js';
+
+/**
+ * Test suite for per-instance partial initializers
+ */
+class PartialInitTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createCachePartial(calls = []) {
+    return class CachePartial {
+      static fields = ['cache'];
+
+      [partialInit]() {
+        calls.push(this);
+        this.cache = new Map();
+      }
+
+      remember(key, value) {
+        this.cache.set(key, value);
+        return this.cache.size;
+      }
+
+      get cacheSize() {
+        return this.cache.size;
+      }
+    };
+  }
+
+  // Test cases
+  async testPerInstanceState() {
+    console.log('\n🧪 Testing per-instance state...');
+
+    const calls = [];
+    const MainClass = class MainClass {};
+    await supplement(MainClass, this.createCachePartial(calls));
+
+    const first = new MainClass();
+    const second = new MainClass();
+    first.remember('a', 1);
+    first.remember('b', 2);
+
+    this.assertEqual(first.remember('c', 3), 3, 'Initializer state should persist across calls');
+    this.assertEqual(second.remember('a', 1), 1, 'Each instance should get its own state');
+    this.assertEqual(calls.length, 2, 'Initializer should run once per instance');
+    this.assertEqual(calls[0], first, 'Initializer should run with the instance as this');
+    this.assert(!(partialInit in MainClass.prototype), 'partialInit should not be copied to the main class');
+  }
+
+  async testAccessorsInitialize() {
+    console.log('\n🧪 Testing accessors and wrapped methods...');
+
+    const MainClass = class MainClass {};
+    await supplement(MainClass, this.createCachePartial());
+
+    this.assertEqual(new MainClass().cacheSize, 0, 'Reading a partial getter should initialize the instance');
+    this.assertEqual(MainClass.prototype.remember.name, 'remember', 'Wrapped methods should keep their name');
+    this.assertEqual(MainClass.prototype.remember.length, 2, 'Wrapped methods should keep their length');
+  }
+
+  async testApplicationOrder() {
+    console.log('\n🧪 Testing application order...');
+
+    const order = [];
+    const FirstPartial = class FirstPartial {
+      [partialInit]() {
+        order.push('first');
+        this.items = [];
+      }
+
+      addItem(item) {
+        this.items.push(item);
+      }
+    };
+    const SecondPartial = class SecondPartial {
+      [partialInit]() {
+        order.push('second');
+        // Relies on the first partial's state
+        this.addItem('default');
+      }
+
+      countItems() {
+        return this.items.length;
+      }
+    };
+    const MainClass = class MainClass {};
+    supplementSync(MainClass, FirstPartial, SecondPartial);
+
+    this.assertEqual(new MainClass().countItems(), 1, 'Initializers should see the state of earlier partials');
+    this.assertEqual(order.join(','), 'first,second', 'Initializers should run in application order');
+  }
+
+  async testSubclassInstances() {
+    console.log('\n🧪 Testing subclass instances...');
+
+    const MainClass = class MainClass {};
+    await supplement(MainClass, this.createCachePartial());
+    class SubClass extends MainClass {}
+
+    this.assertEqual(new SubClass().remember('a', 1), 1, 'Subclass instances should be initialized too');
+  }
+
+  async testLaterPartials() {
+    console.log('\n🧪 Testing partials applied after instances exist...');
+
+    const MainClass = class MainClass {};
+    const CachePartial = this.createCachePartial();
+    const instance = new MainClass();
+    await supplement(MainClass, CachePartial);
+
+    this.assertEqual(instance.remember('a', 1), 1, 'Existing instances should be initialized on first use');
+
+    unsupplement(MainClass, CachePartial);
+    this.assert(!('remember' in instance), 'unsupplement should remove the wrapped members');
+  }
+
+  async testFieldAccessors() {
+    console.log('\n🧪 Testing direct field access...');
+
+    const calls = [];
+    const MainClass = class MainClass {
+      describe() {
+        return `${this.cache.size} cached`;
+      }
+    };
+    await supplement(MainClass, this.createCachePartial(calls));
+
+    const reader = new MainClass();
+    this.assertEqual(reader.describe(), '0 cached', 'Reading a field from main-class code should initialize the instance');
+    this.assert(Object.prototype.hasOwnProperty.call(reader, 'cache'), 'The field should become an own property of the instance');
+    this.assertEqual(calls.length, 1, 'Reading the field should run the initializer once');
+
+    const writer = new MainClass();
+    writer.cache = new Map([['a', 1]]);
+    this.assertEqual(writer.cacheSize, 1, 'A written field should not be overwritten by the initializer');
+    this.assertEqual(calls.length, 2, 'Writing the field should run the initializer first');
+    this.assertEqual(Object.keys(writer).join(','), 'cache', 'A written field should be an ordinary own property');
+  }
+
+  async testFieldNames() {
+    console.log('\n🧪 Testing which fields get accessors...');
+
+    const StatePartial = class StatePartial {
+      static fields = ['count', 'label'];
+
+      [partialInit]() {
+        Object.assign(this, { count: 0, label: 'state' });
+        // this.commented = 1;
+        this.undeclared = true;
+      }
+
+      label() {}
+    };
+    const MainClass = class MainClass {
+      readCount() {
+        return this.count;
+      }
+    };
+    await supplement(MainClass, StatePartial);
+
+    this.assertEqual(new MainClass().readCount(), 0, 'Declared fields should initialize the instance however the initializer sets them');
+    this.assertEqual(typeof MainClass.prototype.label, 'function', 'Fields should not shadow members of the same name');
+    this.assert(!('undeclared' in MainClass.prototype) && !('commented' in MainClass.prototype), 'Undeclared fields should not get accessors');
+    this.assert(!('fields' in MainClass), 'static fields should not be copied to the main class');
+
+    unsupplement(MainClass, StatePartial);
+    this.assert(!('count' in MainClass.prototype), 'unsupplement should remove the field accessors');
+
+    for (const [label, partial] of [
+      ['fields that are not names', class InvalidFields { static fields = [42]; [partialInit]() {} }],
+      ['fields without an initializer', class NoInit { static fields = ['cache']; }],
+    ]) {
+      try {
+        supplementSync(class Target {}, partial);
+        this.assert(false, `Should reject ${label}`);
+      } catch (error) {
+        this.assert(error instanceof TypeError && error.message.includes(partial.name), `Should throw TypeError naming the partial for ${label}`);
+      }
+    }
+
+    const Helpers = class Helpers {};
+    supplementSync(Helpers, class FieldHelpers { static fields() { return 'method'; } });
+    this.assertEqual(Helpers.fields(), 'method', 'A static method named fields should be copied');
+  }
+
+  async testInitializeInstance() {
+    console.log('\n🧪 Testing initializeInstance...');
+
+    const calls = [];
+    const MainClass = class MainClass {
+      constructor() {
+        initializeInstance(this);
+      }
+    };
+    await supplement(MainClass, this.createCachePartial(calls));
+    class SubClass extends MainClass {}
+    const SubPartial = class SubPartial {
+      [partialInit]() {
+        calls.push('sub');
+        this.ready = true;
+      }
+    };
+    await supplement(SubClass, SubPartial);
+
+    const instance = new SubClass();
+    this.assert(Object.prototype.hasOwnProperty.call(instance, 'cache'), 'Should initialize the instance in the constructor');
+    this.assertEqual(calls[0], instance, 'Should run the initializers of base classes first');
+    this.assertEqual(calls[1], 'sub', 'Should run the initializers of subclasses too');
+    this.assertEqual(calls.length, 2, 'Should run each initializer once');
+
+    const other = Object.create(SubClass.prototype);
+    this.assertEqual(initializeInstance(other, SubClass), other, 'Should return the instance');
+    this.assertEqual(calls.length, 3, 'Should only run the initializers of the given class');
+    this.assert(!Object.prototype.hasOwnProperty.call(other, 'cache'), 'Should leave the initializers of other classes pending');
+
+    initializeInstance(instance);
+    this.assertEqual(calls.length, 3, 'Should not run initializers again');
+
+    for (const [label, args] of [['a primitive instance', [1]], ['a main class that is not a function', [instance, {}]]]) {
+      try {
+        initializeInstance(...args);
+        this.assert(false, `Should reject ${label}`);
+      } catch (error) {
+        this.assert(error instanceof TypeError, `Should throw TypeError for ${label}`);
+      }
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting partialInit tests...\n');
+
+    try {
+      await this.testPerInstanceState();
+      await this.testAccessorsInitialize();
+      await this.testApplicationOrder();
+      await this.testSubclassInstances();
+      await this.testLaterPartials();
+      await this.testFieldAccessors();
+      await this.testFieldNames();
+      await this.testInitializeInstance();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All partialInit tests passed!');
+      } else {
+        console.log('\n❌ Some partialInit tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new PartialInitTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,271 @@
+import { supplement, supplementSync, unsupplement } from '../index.js';
+
+/**
+ * Test suite for object and mixin factory partials
+ */
+class PartialKindsTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createHelpers() {
+    return {
+      format(value) {
+        return `<${value}>`;
+      },
+      get label() {
+        return 'helpers';
+      },
+    };
+  }
+
+  createRecord() {
+    return class Record {
+      static find() {
+        return 'found';
+      }
+
+      save() {
+        return 'saved';
+      }
+    };
+  }
+
+  // Test cases
+  async testObjectPartials() {
+    console.log('\n🧪 Testing objects of methods...');
+
+    const MainClass = class MainClass {};
+    const members = await supplement(MainClass, this.createHelpers());
+    const instance = new MainClass();
+
+    this.assertEqual(instance.format('a'), '<a>', 'Object methods should become instance methods by default');
+    this.assertEqual(instance.label, 'helpers', 'Object accessors should be applied as accessors');
+    this.assertEqual(members.instance.join(','), 'format,label', 'The installed members should be returned');
+    this.assert(!Object.keys(MainClass.prototype).includes('format'), 'Object members should be non-enumerable like class members');
+
+    const StaticClass = class StaticClass {};
+    supplementSync(StaticClass, this.createHelpers(), { target: 'static' });
+    this.assertEqual(StaticClass.format('b'), '<b>', "target: 'static' should apply the object to the class itself");
+    this.assert(!('format' in StaticClass.prototype), "target: 'static' should leave the prototype alone");
+  }
+
+  async testObjectArguments() {
+    console.log('\n🧪 Testing objects among several partials...');
+
+    const MainClass = class MainClass {};
+    const helpers = this.createHelpers();
+    supplementSync(MainClass, class Other { other() { return 'other'; } }, helpers);
+
+    this.assertEqual(new MainClass().format('c'), '<c>', 'A trailing object of methods should be read as a partial');
+    this.assertEqual(new MainClass().other(), 'other', 'The other partials should be applied too');
+
+    unsupplement(MainClass, helpers);
+    this.assert(!('format' in MainClass.prototype), 'unsupplement should accept the object that was applied');
+  }
+
+  async testAccessorObjectArguments() {
+    console.log('\n🧪 Testing trailing objects of accessors...');
+
+    let reads = 0;
+    const naming = {
+      get fullName() {
+        reads++;
+        return `${this.first} ${this.last}`;
+      },
+    };
+    const Person = class Person {
+      constructor() {
+        this.first = 'Ada';
+        this.last = 'Lovelace';
+      }
+    };
+    await supplement(Person, class Other { other() { return 'other'; } }, naming);
+
+    this.assertEqual(reads, 0, 'The getter should not be run while telling options apart');
+    this.assertEqual(new Person().fullName, 'Ada Lovelace', 'A trailing object of accessors should be read as a partial');
+
+    const Account = class Account {};
+    await supplement(Account, class Balance { balance() { return 0; } }, { conflict: 'error', inherit: false });
+    this.assertEqual(new Account().balance(), 0, 'A trailing object of known options should still be read as options');
+
+    const Report = class Report {};
+    supplementSync(Report, class Other { other() {} }, { base() { return 'base'; }, target() { return 'target'; } });
+    this.assertEqual(new Report().base() + new Report().target(), 'basetarget', 'A trailing object of methods named like options should be read as a partial');
+
+    const Ledger = class Ledger {
+      total() {
+        return 'ledger';
+      }
+    };
+    const resolved = [];
+    supplementSync(Ledger, class Totals { total() { return 'totals'; } }, {
+      conflict: (key, existing) => {
+        resolved.push(key);
+        return existing;
+      },
+    });
+    this.assertEqual(new Ledger().total(), 'ledger', 'A trailing object with a conflict resolver should still be read as options');
+    this.assertEqual(resolved.join(','), 'total', 'The conflict resolver should be called');
+  }
+
+  async testInvalidTarget() {
+    console.log('\n🧪 Testing invalid targets...');
+
+    try {
+      await supplement(class {}, this.createHelpers(), { target: 'prototype' });
+      this.assert(false, 'Should reject an unknown target');
+    } catch (error) {
+      this.assert(error instanceof TypeError, 'Should throw TypeError for an unknown target');
+      this.assert(error.message.includes('prototype'), 'The error should name the target');
+    }
+  }
+
+  async testMixinFactories() {
+    console.log('\n🧪 Testing mixin factories...');
+
+    const Record = this.createRecord();
+    const Timestamped = (Base) => class Timestamped extends Base {
+      static find() {
+        return `${super.find()} recently`;
+      }
+
+      save() {
+        this.savedAt = 'now';
+        return `${super.save()} at ${this.savedAt}`;
+      }
+    };
+    const members = await supplement(Record, Timestamped);
+    const record = new Record();
+
+    this.assertEqual(record.save(), 'saved at now', 'super calls should reach the replaced instance member');
+    this.assertEqual(Record.find(), 'found recently', 'super calls should reach the replaced static member');
+    this.assertEqual(members.instance.join(','), 'save', 'Only the members of the mixin class should be installed');
+    this.assert(record instanceof Record, 'Instances should keep their class');
+
+    unsupplement(Record, Timestamped);
+    this.assertEqual(new Record().save(), 'saved', 'unsupplement should accept the mixin factory');
+  }
+
+  async testMixinInheritance() {
+    console.log('\n🧪 Testing mixins with the inherit option...');
+
+    const Record = this.createRecord();
+    const Named = (Base) => class Named extends Base {
+      name() {
+        return 'named';
+      }
+    };
+    const Described = (Base) => class Described extends Named(Base) {
+      describe() {
+        return `${this.name()} record`;
+      }
+    };
+    await supplement(Record, Described, { inherit: true, conflict: 'error' });
+
+    this.assertEqual(new Record().describe(), 'named record', 'inherit should copy members of composed mixins');
+    this.assertEqual(new Record().save(), 'saved', 'inherit should not copy the main class members back from the mixin base');
+  }
+
+  async testInvalidMixin() {
+    console.log('\n🧪 Testing invalid mixin factories...');
+
+    try {
+      supplementSync(class {}, () => ({ save() {} }));
+      this.assert(false, 'Should reject a factory that does not return a class');
+    } catch (error) {
+      this.assert(error instanceof TypeError, 'Should throw TypeError for a factory that does not return a class');
+    }
+  }
+
+  async testConstructorFunctions() {
+    console.log('\n🧪 Testing constructor function partials...');
+
+    function Legacy() {}
+    Legacy.prototype.greet = function () {
+      return `hello from ${this.name}`;
+    };
+    Legacy.create = () => 'created';
+    function helper(a, b) {
+      return a + b;
+    }
+
+    class Service {
+      constructor() {
+        this.name = 'service';
+      }
+    }
+    const prototype = Service.prototype;
+
+    try {
+      await supplement(Service, Legacy, helper);
+      this.assertEqual(new Service().greet(), 'hello from service', 'Should copy prototype methods of an ES5 constructor');
+      this.assertEqual(Service.create(), 'created', 'Should copy static members of an ES5 constructor');
+      this.assert(Service.prototype === prototype, 'Should keep the main class prototype');
+      this.assert(Service.prototype.constructor === Service, 'Should keep the main class constructor');
+    } catch (error) {
+      this.assert(false, `Should apply constructor functions and plain functions: ${error.message}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting partial kinds tests...\n');
+
+    try {
+      await this.testObjectPartials();
+      await this.testObjectArguments();
+      await this.testAccessorObjectArguments();
+      await this.testInvalidTarget();
+      await this.testMixinFactories();
+      await this.testMixinInheritance();
+      await this.testInvalidMixin();
+      await this.testConstructorFunctions();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All partial kinds tests passed!');
+      } else {
+        console.log('\n❌ Some partial kinds tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new PartialKindsTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,162 @@
+import { supplement, partialState, partialInit } from '../index.js';
+
+/**
+ * Test suite for the partialState helper
+ */
+class PartialStateTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  assertThrows(fn, ErrorType, message) {
+    try {
+      fn();
+      this.assert(false, message);
+    } catch (error) {
+      this.assert(error instanceof ErrorType, message);
+    }
+  }
+
+  // Test classes
+  createCounterPartial() {
+    return class CounterPartial {
+      increment() {
+        const state = partialState(this, CounterPartial, () => ({ count: 0 }));
+        return ++state.count;
+      }
+    };
+  }
+
+  // Test cases
+  async testPerInstanceStorage() {
+    console.log('\n🧪 Testing per-instance storage...');
+
+    const MainClass = class MainClass {};
+    await supplement(MainClass, this.createCounterPartial());
+
+    const first = new MainClass();
+    const second = new MainClass();
+    first.increment();
+
+    this.assertEqual(first.increment(), 2, 'State should persist across calls');
+    this.assertEqual(second.increment(), 1, 'Each instance should get its own state');
+    this.assertEqual(Object.keys(first).length, 0, 'State should not be stored as a property of the instance');
+  }
+
+  async testPerPartialStorage() {
+    console.log('\n🧪 Testing per-partial storage...');
+
+    class TagsPartial {
+      addTag(tag) {
+        partialState(this, TagsPartial).name = tag;
+      }
+
+      get tag() {
+        return partialState(this, TagsPartial).name;
+      }
+    }
+    class LabelPartial {
+      setLabel(label) {
+        partialState(this, LabelPartial).name = label;
+      }
+
+      get label() {
+        return partialState(this, LabelPartial).name;
+      }
+    }
+    const MainClass = class MainClass {};
+    await supplement(MainClass, [TagsPartial, LabelPartial]);
+
+    const instance = new MainClass();
+    instance.addTag('important');
+    instance.setLabel('Invoice');
+
+    this.assertEqual(instance.tag, 'important', 'First partial should read its own state');
+    this.assertEqual(instance.label, 'Invoice', 'Same property names in different partials should not collide');
+    this.assert(partialState(instance, TagsPartial) === partialState(instance, TagsPartial), 'The same storage object should be returned');
+  }
+
+  async testWithPartialInit() {
+    console.log('\n🧪 Testing storage set up by partialInit...');
+
+    class QueuePartial {
+      [partialInit]() {
+        partialState(this, QueuePartial).items = [];
+      }
+
+      enqueue(item) {
+        return partialState(this, QueuePartial).items.push(item);
+      }
+    }
+    const MainClass = class MainClass {};
+    await supplement(MainClass, QueuePartial);
+
+    this.assertEqual(new MainClass().enqueue('a'), 1, 'partialInit should be able to prepare the storage');
+  }
+
+  async testInvalidArguments() {
+    console.log('\n🧪 Testing invalid arguments...');
+
+    const CounterPartial = this.createCounterPartial();
+    this.assertThrows(() => partialState(undefined, CounterPartial), TypeError, 'Should throw TypeError for a missing instance');
+    this.assertThrows(() => partialState('text', CounterPartial), TypeError, 'Should throw TypeError for a primitive instance');
+    this.assertThrows(() => partialState({}, 'CounterPartial'), TypeError, 'Should throw TypeError for a non-object key');
+    this.assertThrows(() => partialState({}, CounterPartial, () => 42), TypeError, 'Should throw TypeError when the initializer returns a primitive');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting partialState tests...\n');
+
+    try {
+      await this.testPerInstanceStorage();
+      await this.testPerPartialStorage();
+      await this.testWithPartialInit();
+      await this.testInvalidArguments();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All partialState tests passed!');
+      } else {
+        console.log('\n❌ Some partialState tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new PartialStateTestSuite();
+testSuite.runAllTests();
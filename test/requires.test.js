@@ -0,0 +1,167 @@
+import { supplement, supplementSync } from '../index.js';
+
+/**
+ * Test suite for the requires directive
+ */
+class RequiresTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createPersistencePartial() {
+    return class PersistencePartial {
+      static requires = { instance: ['getId'], static: ['tableName'] };
+
+      static describe() {
+        return `table ${this.tableName}`;
+      }
+
+      key() {
+        return `${this.constructor.tableName}:${this.getId()}`;
+      }
+    };
+  }
+
+  // Test cases
+  async testSatisfiedRequirements() {
+    console.log('\n🧪 Testing satisfied requirements...');
+
+    class Base {
+      getId() {
+        return 42;
+      }
+    }
+    class User extends Base {
+      static tableName = 'users';
+    }
+    await supplement(User, this.createPersistencePartial());
+
+    this.assertEqual(new User().key(), 'users:42', 'Inherited members should satisfy requirements');
+    this.assert(!Object.prototype.hasOwnProperty.call(User, 'requires'), 'The requires directive should not be copied');
+  }
+
+  async testMissingRequirements() {
+    console.log('\n🧪 Testing missing requirements...');
+
+    class User {
+      static tableName = 'users';
+    }
+    try {
+      await supplement(User, this.createPersistencePartial());
+      this.assert(false, 'Should throw when a required member is missing');
+    } catch (error) {
+      this.assert(error.message.includes('PersistencePartial'), 'Error should name the partial');
+      this.assert(error.message.includes('instance getId'), 'Error should list the missing members by side');
+      this.assert(!error.message.includes('tableName'), 'Error should not list members that are provided');
+      this.assertEqual(error.missing?.[0]?.instance?.[0], 'getId', 'Error should expose the missing members');
+    }
+    this.assert(!('key' in User.prototype), 'Nothing should be applied when a requirement is missing');
+  }
+
+  async testBatchRequirements() {
+    console.log('\n🧪 Testing requirements provided within a batch...');
+
+    class IdentityPartial {
+      getId() {
+        return 1;
+      }
+    }
+    class TablePartial {
+      static tableName = 'accounts';
+    }
+    const Account = class Account {};
+    supplementSync(Account, [this.createPersistencePartial(), IdentityPartial, TablePartial]);
+
+    this.assertEqual(new Account().key(), 'accounts:1', 'Members installed by the same batch should satisfy requirements');
+  }
+
+  async testInvalidRequirements() {
+    console.log('\n🧪 Testing invalid requirement declarations...');
+
+    const invalid = [
+      ['a string', class { static requires = 'getId'; }],
+      ['a non-array side', class { static requires = { instance: 'getId' }; }],
+      ['an unknown side', class { static requires = { prototype: ['getId'] }; }],
+    ];
+    for (const [label, PartialClass] of invalid) {
+      try {
+        await supplement(class {}, PartialClass);
+        this.assert(false, `Should reject ${label}`);
+      } catch (error) {
+        this.assert(error instanceof TypeError, `Should throw TypeError for ${label}`);
+      }
+    }
+  }
+
+  async testRequiresMethod() {
+    console.log('\n🧪 Testing a static method named requires...');
+
+    class PolicyPartial {
+      static requires(role) {
+        return role === 'admin';
+      }
+    }
+    const Policy = class Policy {};
+    await supplement(Policy, PolicyPartial);
+
+    this.assertEqual(Policy.requires('admin'), true, 'A static requires method should be copied, not read as a directive');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting requires tests...\n');
+
+    try {
+      await this.testSatisfiedRequirements();
+      await this.testMissingRequirements();
+      await this.testBatchRequirements();
+      await this.testInvalidRequirements();
+      await this.testRequiresMethod();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All requires tests passed!');
+      } else {
+        console.log('\n❌ Some requires tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new RequiresTestSuite();
+testSuite.runAllTests();
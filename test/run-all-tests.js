@@ -9,10 +9,22 @@ const execAsync = promisify(exec);
 class TestRunner {
   constructor() {
     this.testSuites = [
-  /*    'basic.test.js',
-      'supplement.test.js', */
+  /*    'basic.test.js', */
+      'supplement.test.js',
       'supplementAll.test.js',
-      'iterateDescriptors.test.js'
+      'iterateDescriptors.test.js',
+      'whenSupplemented.test.js',
+      'unsupplement.test.js',
+      'supplementSync.test.js',
+      'hooks.test.js',
+      'partialInit.test.js',
+      'partialState.test.js',
+      'advice.test.js',
+      'requires.test.js',
+      'partialKinds.test.js',
+      'loaders.test.js',
+      'typegen.test.js',
+      'getSupplementInfo.test.js'
     ];
     this.results = [];
   }
@@ -42,6 +54,10 @@ class TestRunner {
       };
       
     } catch (error) {
+      // Suites exit with a non-zero code when an assertion fails; show what they printed
+      if (error.stdout) {
+        console.log(error.stdout);
+      }
       console.error(`❌ Failed to run ${testFile}:`, error.message);
       return {
         file: testFile,
@@ -102,6 +118,7 @@ class TestRunner {
       console.log('🎉 ALL TESTS PASSED! The library is working correctly.');
     } else {
       console.log('⚠️  Some tests failed. Please review the errors above.');
+      process.exitCode = 1;
     }
     
     console.log('='.repeat(60));
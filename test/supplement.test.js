@@ -1,4 +1,4 @@
-import { supplement } from '../index.js';
+import { supplement, unsupplement, SUPPLEMENTED_SYMBOLS } from '../index.js';
 
 /**
  * Test suite for the supplement function
@@ -93,6 +93,28 @@ class SupplementTestSuite {
     this.assertEqual(instance.instanceMethod(), 'Instance method from partial', 'Instance method should be supplemented');
   }
 
+  async testBaseOption() {
+    console.log('\n🧪 Testing the base option...');
+
+    const FromUrl = this.createMainClass();
+    await supplement(FromUrl, '../test/test-partial.js', { base: import.meta.url });
+    this.assertEqual(FromUrl.staticMethod(), 'Static method from partial', 'Relative paths should resolve against import.meta.url');
+
+    const FromDirectory = this.createMainClass();
+    await supplement(FromDirectory, './test/test-partial.js', { base: new URL('..', import.meta.url).pathname });
+    this.assertEqual(FromDirectory.staticMethod(), 'Static method from partial', 'Relative paths should resolve against a directory');
+
+    unsupplement(FromDirectory, './test-partial.js');
+    this.assert(!FromDirectory.hasOwnProperty('staticMethod'), 'unsupplement should resolve relative paths against the caller');
+
+    try {
+      await supplement(this.createMainClass(), './test-partial.js', { base: new URL('../utils/', import.meta.url) });
+      this.assert(false, 'Should reject a path that does not exist relative to the base');
+    } catch (error) {
+      this.assert(error.message.includes('utils'), 'The error should show where the path was resolved');
+    }
+  }
+
   async testPromiseImport() {
     console.log('\n🧪 Testing promise import...');
     
@@ -180,20 +202,398 @@ class SupplementTestSuite {
     
     await supplement(MainClass, PartialClass);
     
-    this.assert(!MainClass.hasOwnProperty('readOnlyProperty'), 'Read-only properties should not be copied');
+    this.assert(MainClass.hasOwnProperty('readOnlyProperty'), 'Getter-only properties should be copied');
     this.assert(!MainClass.hasOwnProperty('nonWritable'), 'Non-writable properties should not be copied');
   }
 
+  async testAccessors() {
+    console.log('\n🧪 Testing getters and setters...');
+    
+    const MainClass = class {
+      constructor() {
+        this.firstName = 'Ada';
+        this.lastName = 'Lovelace';
+      }
+    };
+    
+    const PartialClass = class {
+      static get tableName() {
+        return 'users';
+      }
+      
+      get fullName() {
+        return `${this.firstName} ${this.lastName}`;
+      }
+      
+      set fullName(value) {
+        [this.firstName, this.lastName] = value.split(' ');
+      }
+    };
+    
+    await supplement(MainClass, PartialClass);
+    
+    const instance = new MainClass();
+    const descriptor = Object.getOwnPropertyDescriptor(MainClass.prototype, 'fullName');
+    
+    this.assertEqual(MainClass.tableName, 'users', 'Static getter should be supplemented');
+    this.assertEqual(instance.fullName, 'Ada Lovelace', 'Instance getter should be supplemented');
+    instance.fullName = 'Grace Hopper';
+    this.assertEqual(instance.lastName, 'Hopper', 'Instance setter should be supplemented');
+    this.assertEqual(typeof descriptor.get, 'function', 'Getter should be installed as an accessor');
+    this.assertEqual(descriptor.enumerable, false, 'Accessor should keep its enumerable flag');
+    this.assertEqual(descriptor.configurable, true, 'Accessor should keep its configurable flag');
+  }
+
+  async testSymbolKeys() {
+    console.log('\n🧪 Testing symbol-keyed members...');
+    
+    const MainClass = class {
+      constructor() {
+        this.items = [1, 2, 3];
+      }
+    };
+    
+    const PartialClass = class {
+      static [Symbol.hasInstance](instance) {
+        return Array.isArray(instance?.items);
+      }
+      
+      *[Symbol.iterator]() {
+        yield* this.items;
+      }
+      
+      [Symbol.toPrimitive]() {
+        return this.items.length;
+      }
+    };
+    
+    await supplement(MainClass, PartialClass);
+    
+    const instance = new MainClass();
+    
+    this.assertEqual([...instance].join(','), '1,2,3', 'Symbol.iterator should be supplemented');
+    this.assertEqual(+instance, 3, 'Symbol.toPrimitive should be supplemented');
+    this.assert({ items: [] } instanceof MainClass, 'Static Symbol.hasInstance should be supplemented');
+  }
+
+  async testSupplementedPartial() {
+    console.log('\n🧪 Testing a supplemented class used as a partial...');
+    
+    const InnerPartial = class {
+      inner() {
+        return 'inner';
+      }
+    };
+    const PartialClass = class {};
+    await supplement(PartialClass, InnerPartial);
+    
+    const MainClass = class {};
+    await supplement(MainClass, PartialClass);
+    
+    this.assertEqual(new MainClass().inner(), 'inner', 'Members supplemented into the partial should be copied');
+    this.assert(
+      MainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE] !== PartialClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE],
+      'Supplementation metadata of the partial should not be copied'
+    );
+  }
+
+  createPartialHierarchy() {
+    const RootPartial = class RootPartial {
+      static rootStatic() {
+        return 'root static';
+      }
+      
+      rootMethod() {
+        return 'root';
+      }
+      
+      describe() {
+        return 'root';
+      }
+    };
+    
+    const AuditPartial = class AuditPartial extends RootPartial {
+      static auditStatic() {
+        return 'audit static';
+      }
+      
+      audit() {
+        return 'audited';
+      }
+      
+      describe() {
+        return 'audit';
+      }
+    };
+    
+    const AdminPartial = class AdminPartial extends AuditPartial {
+      admin() {
+        return 'admin';
+      }
+      
+      describe() {
+        return 'admin';
+      }
+    };
+    
+    return AdminPartial;
+  }
+
+  async testInheritance() {
+    console.log('\n🧪 Testing inherit option...');
+    
+    const AdminPartial = this.createPartialHierarchy();
+    
+    const PlainClass = class {};
+    await supplement(PlainClass, AdminPartial);
+    this.assert(!('audit' in PlainClass.prototype), 'Superclass members should not be copied by default');
+    
+    const FullClass = class {};
+    await supplement(FullClass, AdminPartial, { inherit: true, conflict: 'error' });
+    const instance = new FullClass();
+    this.assertEqual(instance.admin(), 'admin', 'Own members should be copied');
+    this.assertEqual(instance.audit(), 'audited', 'Superclass members should be copied');
+    this.assertEqual(instance.rootMethod(), 'root', 'Members from the whole chain should be copied');
+    this.assertEqual(FullClass.rootStatic(), 'root static', 'Inherited static members should be copied');
+    this.assertEqual(instance.describe(), 'admin', 'Derived overrides should win without conflicts');
+    this.assert(!FullClass.prototype.hasOwnProperty('hasOwnProperty'), 'Object members should not be copied');
+    this.assert(!FullClass.hasOwnProperty('call'), 'Function members should not be copied');
+    
+    const OneLevelClass = class {};
+    await supplement(OneLevelClass, AdminPartial, { inherit: 1 });
+    const oneLevel = new OneLevelClass();
+    this.assertEqual(oneLevel.audit(), 'audited', 'inherit: 1 should copy the direct superclass');
+    this.assert(!('rootMethod' in oneLevel), 'inherit: 1 should stop after the direct superclass');
+    this.assertEqual(OneLevelClass.auditStatic(), 'audit static', 'inherit: 1 should copy direct superclass statics');
+  }
+
+  createConflictingClasses() {
+    const MainClass = class MainClass {
+      toJSON() {
+        return 'main';
+      }
+    };
+    
+    const PartialClass = class ValidationPartial {
+      static create() {
+        return 'partial create';
+      }
+      
+      toJSON() {
+        return 'partial';
+      }
+    };
+    
+    return { MainClass, PartialClass };
+  }
+
+  async testConflictModes() {
+    console.log('\n🧪 Testing conflict modes...');
+    
+    let { MainClass, PartialClass } = this.createConflictingClasses();
+    await supplement(MainClass, PartialClass, { conflict: 'skip' });
+    this.assertEqual(new MainClass().toJSON(), 'main', "'skip' should keep the existing member");
+    this.assertEqual(MainClass.create(), 'partial create', "'skip' should still add new members");
+    
+    ({ MainClass, PartialClass } = this.createConflictingClasses());
+    await supplement(MainClass, PartialClass, { conflict: 'override' });
+    this.assertEqual(new MainClass().toJSON(), 'partial', "'override' should replace the existing member");
+    
+    ({ MainClass, PartialClass } = this.createConflictingClasses());
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      await supplement(MainClass, PartialClass, { conflict: 'warn' });
+    } finally {
+      console.warn = originalWarn;
+    }
+    this.assertEqual(new MainClass().toJSON(), 'partial', "'warn' should replace the existing member");
+    this.assertEqual(warnings.length, 1, "'warn' should print one warning");
+    
+    ({ MainClass, PartialClass } = this.createConflictingClasses());
+    try {
+      await supplement(MainClass, PartialClass, { conflict: 'error' });
+      this.assert(false, "'error' should throw on conflict");
+    } catch (error) {
+      this.assert(error.message.includes('toJSON'), 'Error should name the conflicting member');
+      this.assert(error.message.includes('ValidationPartial') && error.message.includes('MainClass'), 'Error should name both sources');
+    }
+    this.assertEqual(new MainClass().toJSON(), 'main', "'error' should leave the main class untouched");
+    this.assert(!MainClass.hasOwnProperty('create'), "'error' should not apply any member");
+  }
+
+  async testConflictBetweenPartials() {
+    console.log('\n🧪 Testing conflict between two partials...');
+    
+    const MainClass = class MainClass {};
+    const FirstPartial = class FirstPartial {
+      validate() {
+        return 'first';
+      }
+    };
+    const SecondPartial = class SecondPartial {
+      validate() {
+        return 'second';
+      }
+    };
+    
+    await supplement(MainClass, FirstPartial, { conflict: 'error' });
+    try {
+      await supplement(MainClass, SecondPartial, { conflict: 'error' });
+      this.assert(false, 'Second partial should conflict with the first');
+    } catch (error) {
+      this.assert(error.message.includes('FirstPartial') && error.message.includes('SecondPartial'), 'Error should name both partials');
+    }
+  }
+
+  async testConflictResolver() {
+    console.log('\n🧪 Testing custom conflict resolver...');
+    
+    const { MainClass, PartialClass } = this.createConflictingClasses();
+    const calls = [];
+    
+    await supplement(MainClass, PartialClass, {
+      conflict: (key, existing, incoming, meta) => {
+        calls.push({ key, meta });
+        return {
+          ...incoming,
+          value() {
+            return `${existing.value.call(this)}+${incoming.value.call(this)}`;
+          },
+        };
+      },
+    });
+    
+    this.assertEqual(calls.length, 1, 'Resolver should be called once per conflict');
+    this.assertEqual(calls[0].key, 'toJSON', 'Resolver should receive the member key');
+    this.assertEqual(calls[0].meta.side, 'instance', 'Resolver should receive the member side');
+    this.assertEqual(new MainClass().toJSON(), 'main+partial', 'Resolver descriptor should be installed');
+  }
+
+  async testInvalidConflictMode() {
+    console.log('\n🧪 Testing invalid conflict mode...');
+    
+    const { MainClass, PartialClass } = this.createConflictingClasses();
+    try {
+      await supplement(MainClass, PartialClass, { conflict: 'merge' });
+      this.assert(false, 'Should throw for an unknown conflict mode');
+    } catch (error) {
+      this.assert(error instanceof TypeError, 'Should throw TypeError for an unknown conflict mode');
+    }
+  }
+
+  async testMultiplePartials() {
+    console.log('\n🧪 Testing multiple partials in one call...');
+    
+    const MainClass = class MainClass {};
+    const FirstPartial = class FirstPartial {
+      describe() {
+        return 'first';
+      }
+      first() {
+        return 1;
+      }
+    };
+    const SecondPartial = class SecondPartial {
+      describe() {
+        return 'second';
+      }
+      static second() {
+        return 2;
+      }
+    };
+    
+    const members = await supplement(MainClass, [FirstPartial, Promise.resolve({ default: SecondPartial })]);
+    const instance = new MainClass();
+    
+    this.assert(Array.isArray(members) && members.length === 2, 'Array form should resolve to one entry per partial');
+    this.assertEqual(members[0].instance.join(','), 'describe,first', 'First entry should list the first partial members');
+    this.assertEqual(members[1].static.join(','), 'second', 'Second entry should list the second partial members');
+    this.assertEqual(instance.describe(), 'second', 'Partials should be applied in the listed order');
+    this.assertEqual(instance.first() + MainClass.second(), 3, 'Members of every partial should be installed');
+    
+    const VariadicClass = class VariadicClass {};
+    const variadic = await supplement(VariadicClass, FirstPartial, SecondPartial, { conflict: 'skip' });
+    this.assertEqual(variadic.length, 2, 'Variadic form should resolve to one entry per partial');
+    this.assertEqual(new VariadicClass().describe(), 'first', 'Trailing options should apply to the whole batch');
+  }
+
+  async testBatchConflictReport() {
+    console.log('\n🧪 Testing batch conflict report...');
+    
+    const { MainClass, PartialClass } = this.createConflictingClasses();
+    const OtherPartial = class OtherPartial {
+      static create() {
+        return 'other';
+      }
+    };
+    
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      await supplement(MainClass, [PartialClass, OtherPartial], { conflict: 'warn' });
+    } finally {
+      console.warn = originalWarn;
+    }
+    this.assertEqual(warnings.length, 1, "'warn' should print one warning for the whole batch");
+    this.assert(warnings[0].includes('toJSON') && warnings[0].includes('create'), 'Warning should list every conflict');
+    this.assertEqual(MainClass.create(), 'other', 'Later partials should still win in warn mode');
+    
+    const Fresh = this.createConflictingClasses();
+    try {
+      await supplement(Fresh.MainClass, [Fresh.PartialClass, OtherPartial], { conflict: 'error' });
+      this.assert(false, "'error' should throw for a conflicting batch");
+    } catch (error) {
+      this.assertEqual(error.conflicts?.length, 2, 'Error should carry every conflict of the batch');
+      this.assert(error.message.includes('ValidationPartial') && error.message.includes('OtherPartial'), 'Error should name the partials of the batch');
+    }
+    this.assertEqual(new Fresh.MainClass().toJSON(), 'main', "'error' should leave the main class untouched");
+    this.assert(!Fresh.MainClass.hasOwnProperty('create'), "'error' should not apply any partial of the batch");
+  }
+
+  async testBatchLoadFailure() {
+    console.log('\n🧪 Testing batch with a failing import...');
+    
+    const MainClass = class MainClass {};
+    const PartialClass = class PartialClass {
+      helper() {
+        return 'helper';
+      }
+    };
+    
+    try {
+      await supplement(MainClass, PartialClass, Promise.reject(new Error('missing partial')));
+      this.assert(false, 'Batch should reject when a partial fails to load');
+    } catch (error) {
+      this.assertEqual(error.message, 'missing partial', 'Batch should reject with the import error');
+    }
+    this.assert(!MainClass.prototype.hasOwnProperty('helper'), 'No partial should be applied when one fails to load');
+  }
+
   async runAllTests() {
     console.log('🚀 Starting supplement function tests...\n');
     
     try {
       await this.testDirectClassReference();
       await this.testStringPathImport();
+      await this.testBaseOption();
       await this.testPromiseImport();
       await this.testMethodOverride();
       await this.testConstructorExclusion();
       await this.testNonWritableProperties();
+      await this.testAccessors();
+      await this.testSymbolKeys();
+      await this.testSupplementedPartial();
+      await this.testInheritance();
+      await this.testConflictModes();
+      await this.testConflictBetweenPartials();
+      await this.testConflictResolver();
+      await this.testInvalidConflictMode();
+      await this.testMultiplePartials();
+      await this.testBatchConflictReport();
+      await this.testBatchLoadFailure();
       
       console.log(`\n📊 Test Results:`);
       console.log(`   Total tests: ${this.testCount}`);
@@ -204,10 +604,12 @@ class SupplementTestSuite {
         console.log('\n🎉 All supplement tests passed!');
       } else {
         console.log('\n❌ Some supplement tests failed!');
+        process.exitCode = 1;
       }
       
     } catch (error) {
       console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
     }
   }
 }
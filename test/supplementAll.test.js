@@ -1,7 +1,12 @@
-import { supplementAll, myDir } from "../index.js";
+import { supplementAll, getSupplementInfo, myDir } from "../index.js";
 import fs from "fs/promises";
+import watchFs from "fs";
 import path from "path";
 import { SUPPLEMENTED_SYMBOLS } from "../utils/metadata.js";
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
 
 /**
  * Test suite for the supplementAll function
@@ -398,6 +403,22 @@ This is a text file.
     await fs.rm(emptyDir, { recursive: true, force: true });
   }
 
+  async testRelativeDirectory() {
+    console.log("\n🧪 Testing relative directories...");
+
+    const directory = await this.createPartialDirectory("relative", {
+      "greeting.js": "export default class Greeting { greet() { return 'hello'; } }",
+    });
+
+    const MainClass = this.createMainClass();
+    await supplementAll(MainClass, "./" + path.relative(myDir(import.meta.url), directory));
+    this.assertEqual(new MainClass().greet(), "hello", "Relative directories should resolve against the calling module");
+
+    const BaseClass = this.createMainClass();
+    await supplementAll(BaseClass, "test-partial-classes/relative", { base: new URL("./", import.meta.url) });
+    this.assertEqual(new BaseClass().greet(), "hello", "Relative directories should resolve against the base option");
+  }
+
   async testInvalidDirectory() {
     console.log("\n🧪 Testing invalid directory...");
 
@@ -416,6 +437,653 @@ This is a text file.
     }
   }
 
+  async testManifest() {
+    console.log("\n🧪 Testing returned manifest...");
+
+    await this.createTestFile(
+      "formatting.js",
+      `
+export default class FormattingPartial {
+  static formatName(name) {
+    return name.trim();
+  }
+
+  formatTitle(title) {
+    return title.toUpperCase();
+  }
+}
+    `
+    );
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, this.testDir);
+
+    this.assertEqual(
+      typeof MainClass.formatName,
+      "function",
+      "Partials should be applied when supplementAll resolves"
+    );
+    this.assert(
+      manifest["formatting.js"] !== undefined,
+      "Manifest should be keyed by file name"
+    );
+    this.assertEqual(
+      manifest["formatting.js"].static.join(","),
+      "formatName",
+      "Manifest should list static members"
+    );
+    this.assertEqual(
+      manifest["formatting.js"].instance.join(","),
+      "formatTitle",
+      "Manifest should list instance members"
+    );
+  }
+
+  async testFailingPartials() {
+    console.log("\n🧪 Testing failing partial files...");
+
+    const brokenDir = path.join(this.testDir, "broken");
+    await fs.mkdir(brokenDir, { recursive: true });
+    await fs.writeFile(
+      path.join(brokenDir, "working.js"),
+      `
+export default class WorkingPartial {
+  static working() {
+    return true;
+  }
+}
+    `
+    );
+    await fs.writeFile(path.join(brokenDir, "syntax-error.js"), "export default class {");
+    await fs.writeFile(path.join(brokenDir, "throws.js"), "throw new Error('boom');");
+
+    const MainClass = this.createMainClass();
+    try {
+      await supplementAll(MainClass, brokenDir);
+      this.assert(false, "Should reject when a partial fails");
+    } catch (error) {
+      this.assert(
+        error.name === "AggregateError" && Array.isArray(error.errors),
+        "Should reject with an AggregateError"
+      );
+      this.assertEqual(error.errors.length, 2, "Should collect one error per failing file");
+      this.assert(
+        error.message.includes("syntax-error.js") && error.message.includes("throws.js"),
+        "Error message should name each failing file"
+      );
+      this.assert(
+        error.errors.some((e) => e.message.startsWith("throws.js") && e.message.includes("boom")),
+        "Each error should name its file and keep the original message"
+      );
+    }
+    this.assertEqual(
+      MainClass.working(),
+      true,
+      "Working partials should still be applied"
+    );
+
+    // Node.js 14 has no AggregateError
+    const script = [
+      "delete globalThis.AggregateError;",
+      `const { supplementAll } = await import(${JSON.stringify(new URL("../index.js", import.meta.url).href)});`,
+      "try {",
+      `  await supplementAll(class {}, ${JSON.stringify(brokenDir)});`,
+      "} catch (error) {",
+      "  console.log(JSON.stringify({ name: error.name, errors: error.errors.length, cause: Boolean(error.errors[0].cause) }));",
+      "}",
+    ].join("\n");
+    const { stdout } = await execFileAsync(process.execPath, ["--input-type=module", "-e", script], { timeout: 30000 });
+    this.assertEqual(
+      stdout.trim(),
+      JSON.stringify({ name: "AggregateError", errors: 2, cause: true }),
+      "Should reject with an equivalent error where AggregateError is missing"
+    );
+  }
+
+  async createPartialTree() {
+    const treeDir = path.join(this.testDir, "tree");
+    const files = {
+      "root.js": "export default class RootPartial { static fromRoot() { return 'root'; } }",
+      "root.test.js": "export default class RootTest { static fromRootTest() { return 'test'; } }",
+      "root.d.ts": "export default class RootTypes { static fromDeclaration(): string; }",
+      "auth/login.js": "export default class LoginPartial { login() { return 'login'; } }",
+      "auth/login.test.js": "export default class LoginTest { static fromLoginTest() { return 'test'; } }",
+      "billing/invoices/invoice.mjs": "export default class InvoicePartial { static invoice() { return 'invoice'; } }",
+    };
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(treeDir, file);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    }
+    return treeDir;
+  }
+
+  async testRecursiveScanning() {
+    console.log("\n🧪 Testing recursive scanning...");
+
+    const treeDir = await this.createPartialTree();
+
+    const FlatClass = this.createMainClass();
+    const flatManifest = await supplementAll(FlatClass, treeDir);
+    this.assertEqual(
+      typeof FlatClass.fromRoot,
+      "function",
+      "Top-level partials should be loaded without recursion"
+    );
+    this.assert(
+      !FlatClass.prototype.hasOwnProperty("login"),
+      "Nested partials should not be loaded without recursion"
+    );
+    this.assert(
+      !FlatClass.hasOwnProperty("fromDeclaration") && flatManifest["root.d.ts"] === undefined,
+      "Declaration files should be skipped by default"
+    );
+
+    const DeepClass = this.createMainClass();
+    const deepManifest = await supplementAll(DeepClass, treeDir, { recursive: true });
+    this.assertEqual(
+      new DeepClass().login(),
+      "login",
+      "Nested partials should be loaded with recursion"
+    );
+    this.assertEqual(
+      DeepClass.invoice(),
+      "invoice",
+      "Deeply nested partials should be loaded with recursion"
+    );
+    this.assert(
+      deepManifest["billing/invoices/invoice.mjs"] !== undefined,
+      "Manifest should be keyed by relative path"
+    );
+  }
+
+  async testIncludeExclude() {
+    console.log("\n🧪 Testing include and exclude patterns...");
+
+    const treeDir = await this.createPartialTree();
+
+    const ExcludeClass = this.createMainClass();
+    await supplementAll(ExcludeClass, treeDir, {
+      recursive: true,
+      exclude: "**/*.test.js",
+    });
+    this.assert(
+      !ExcludeClass.hasOwnProperty("fromRootTest") && !ExcludeClass.hasOwnProperty("fromLoginTest"),
+      "Excluded test files should not be loaded"
+    );
+    this.assertEqual(
+      ExcludeClass.fromRoot(),
+      "root",
+      "Files not excluded should still be loaded"
+    );
+
+    const IncludeClass = this.createMainClass();
+    const manifest = await supplementAll(IncludeClass, treeDir, {
+      recursive: true,
+      include: ["auth/**", "billing/**"],
+      exclude: ["**/*.test.js"],
+    });
+    this.assertEqual(
+      Object.keys(manifest).sort().join(","),
+      "auth/login.js,billing/invoices/invoice.mjs",
+      "Only included, non-excluded files should be loaded"
+    );
+  }
+
+  async createPartialDirectory(name, files) {
+    const directory = path.join(this.testDir, name);
+    await fs.mkdir(directory, { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(directory, file), content);
+    }
+    return directory;
+  }
+
+  async testDeterministicOrder() {
+    console.log("\n🧪 Testing deterministic application order...");
+
+    const directory = await this.createPartialDirectory("order", {
+      "b-second.js": "export default class Second { who() { return 'b'; } }",
+      "a-first.js": "await new Promise((resolve) => setTimeout(resolve, 20));\nexport default class First { who() { return 'a'; } }",
+      "c-third.js": "export default class Third { static last() { return 'c'; } }",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, directory);
+
+    this.assertEqual(
+      new MainClass().who(),
+      "b",
+      "The later file name should win regardless of import timing"
+    );
+    this.assertEqual(
+      Object.keys(manifest).join(","),
+      "a-first.js,b-second.js,c-third.js",
+      "Partials should be applied in file name order"
+    );
+  }
+
+  async testPriority() {
+    console.log("\n🧪 Testing static priority...");
+
+    const directory = await this.createPartialDirectory("priority", {
+      "a-important.js": "export default class Important { static priority = 10; who() { return 'important'; } }",
+      "b-regular.js": "export default class Regular { who() { return 'regular'; } }",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, directory);
+
+    this.assertEqual(
+      new MainClass().who(),
+      "important",
+      "Higher priority partial should be applied last and win"
+    );
+    this.assertEqual(
+      Object.keys(manifest).join(","),
+      "b-regular.js,a-important.js",
+      "Partials should be applied in ascending priority"
+    );
+    this.assert(
+      !MainClass.hasOwnProperty("priority"),
+      "The priority directive should not be copied"
+    );
+  }
+
+  async testAfterDependencies() {
+    console.log("\n🧪 Testing static after dependencies...");
+
+    const directory = await this.createPartialDirectory("after", {
+      "a-audit.js": "export default class Audit { static after = ['c-base']; who() { return 'audit'; } }",
+      "b-admin.js": "export default class Admin { static after = ['a-audit.js']; who() { return 'admin'; } }",
+      "c-base.js": "export default class Base { who() { return 'base'; } }",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, directory);
+
+    this.assertEqual(
+      Object.keys(manifest).join(","),
+      "c-base.js,a-audit.js,b-admin.js",
+      "Partials should be applied after their dependencies"
+    );
+    this.assertEqual(
+      new MainClass().who(),
+      "admin",
+      "The last dependent should win"
+    );
+    this.assert(
+      !MainClass.hasOwnProperty("after"),
+      "The after directive should not be copied"
+    );
+  }
+
+  async testAfterErrors() {
+    console.log("\n🧪 Testing invalid after dependencies...");
+
+    const cycleDir = await this.createPartialDirectory("cycle", {
+      "a.js": "export default class A { static after = ['b']; }",
+      "b.js": "export default class B { static after = ['a']; }",
+      "c.js": "export default class C { static c() { return 'c'; } }",
+    });
+
+    try {
+      await supplementAll(this.createMainClass(), cycleDir);
+      this.assert(false, "Should throw on circular dependencies");
+    } catch (error) {
+      this.assert(
+        error.message.includes("Circular") && error.message.includes("a.js") && error.message.includes("b.js"),
+        "Cycle error should name the partials involved"
+      );
+    }
+
+    const missingDir = await this.createPartialDirectory("missing", {
+      "a.js": "export default class A { static after = ['nowhere']; }",
+    });
+
+    try {
+      await supplementAll(this.createMainClass(), missingDir);
+      this.assert(false, "Should throw on unknown dependencies");
+    } catch (error) {
+      this.assert(
+        error.message.includes("nowhere"),
+        "Unknown dependency error should name the dependency"
+      );
+    }
+  }
+
+  async testDirectiveNamedMethods() {
+    console.log("\n🧪 Testing static methods named like directives...");
+
+    const directory = await this.createPartialDirectory("directive-methods", {
+      "dates.js": [
+        "export default class DatePartial {",
+        "  static after(a, b) { return a > b; }",
+        "  static priority() { return 'high'; }",
+        "  static before(a, b) { return a < b; }",
+        "}",
+      ].join("\n"),
+      "numbers.js": "export default class NumberPartial { static priority = 1; static isEven(n) { return n % 2 === 0; } }",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, directory);
+
+    this.assertEqual(MainClass.after(2, 1), true, "A static after method should be copied");
+    this.assertEqual(MainClass.priority(), "high", "A static priority method should be copied");
+    this.assertEqual(
+      Object.keys(manifest).join(","),
+      "dates.js,numbers.js",
+      "Static methods named like directives should not affect the order"
+    );
+
+    const invalidDir = await this.createPartialDirectory("invalid-directives", {
+      "a.js": "export default class A { static after = 42; }",
+      "b.js": "export default class B { static priority = 'high'; }",
+    });
+
+    for (const file of ["a.js", "b.js"]) {
+      try {
+        await supplementAll(this.createMainClass(), invalidDir, { include: file });
+        this.assert(false, `Should reject the invalid directive of ${file}`);
+      } catch (error) {
+        this.assert(
+          error instanceof TypeError && error.message.includes(file),
+          `Invalid directive error should name ${file}`
+        );
+      }
+    }
+  }
+
+  async testRequiredMembers() {
+    console.log("\n🧪 Testing required members...");
+
+    const directory = await this.createPartialDirectory("requires", {
+      "base.js": "export default class Base { getId() { return 7; } }",
+      "audit.js": "export default class Audit { static requires = { instance: ['getId'] }; audit() { return this.getId(); } }",
+      "orm.js": "export default class Orm { static requires = { static: ['tableName'] }; static query() { return this.tableName; } }",
+    });
+
+    try {
+      await supplementAll(this.createMainClass(), directory);
+      this.assert(false, "Should reject when a required member is missing");
+    } catch (error) {
+      this.assert(error.name === "AggregateError" && Array.isArray(error.errors), "Missing requirements should be reported per file");
+      this.assertEqual(error.message.includes("orm.js") && !error.message.includes("audit.js"), true, "Only the failing partial file should be named");
+      this.assert(error.errors[0].message.includes("tableName"), "The file error should name the missing member");
+    }
+
+    const unorderedDir = await this.createPartialDirectory("requires-unordered", {
+      "audit.js": "export default class Audit { static requires = { instance: ['getId'] }; audit() { return this.getId(); } }",
+      "base.js": "export default class Base { getId() { return 7; } }",
+      "helpers.js": "export default class Helpers { static requires(value) { return value !== undefined; } }",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, unorderedDir);
+    this.assertEqual(new MainClass().audit(), 7, "A partial may require members of a file applied after it");
+    this.assertEqual(Object.keys(manifest).join(","), "audit.js,base.js,helpers.js", "Files should keep their order");
+    this.assertEqual(MainClass.requires(1), true, "A static requires method should be copied");
+
+    const rollbackDir = await this.createPartialDirectory("requires-rollback", {
+      "audit.js": "export default class Audit { static requires = { instance: ['getId'] }; audit() { return this.getId(); } }",
+      "report.js": "export default class Report { static requires = { instance: ['audit'] }; report() { return this.audit(); } }",
+    });
+
+    const RolledBack = this.createMainClass();
+    try {
+      await supplementAll(RolledBack, rollbackDir);
+      this.assert(false, "Should reject when a required member is missing");
+    } catch (error) {
+      this.assertEqual(error.errors.length, 2, "Files relying on a rolled back file should fail too");
+      this.assert(
+        !("audit" in RolledBack.prototype) && !("report" in RolledBack.prototype),
+        "Files with missing members should be rolled back"
+      );
+    }
+  }
+
+  async testModuleExports() {
+    console.log("\n🧪 Testing CommonJS and ES module exports...");
+
+    const directory = await this.createPartialDirectory("exports", {
+      "class.cjs": "module.exports = class Single { single() { return 'single'; } };",
+      "object.cjs": "module.exports = { Reader: class { read() { return 'read'; } }, Writer: class { write() { return 'write'; } }, version: 1 };",
+      "named.cjs": "exports.Closer = class { close() { return 'close'; } };",
+      "esm.js": "export class Finder { find() { return 'find'; } }\nexport const helper = () => {};",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, directory);
+    const instance = new MainClass();
+
+    this.assertEqual(instance.single(), "single", "module.exports = class should be applied");
+    this.assertEqual(instance.read() + instance.write(), "readwrite", "Every class of module.exports = { ... } should be applied");
+    this.assertEqual(instance.close(), "close", "exports.X = class should be applied");
+    this.assertEqual(instance.find(), "find", "Named ES module class exports should be applied");
+    this.assertEqual(manifest["object.cjs"].instance.join(","), "read,write", "The manifest should combine the classes of a file");
+    this.assert(!("helper" in instance) && !("version" in instance), "Non-class exports should be ignored");
+  }
+
+  async testPickExports() {
+    console.log("\n🧪 Testing the pick option...");
+
+    const directory = await this.createPartialDirectory("pick", {
+      "esm.js": "export class Used { used() { return 'used'; } }\nexport class Unused { unused() {} }",
+      "cjs.cjs": "module.exports = { Used: class { alsoUsed() { return 'also'; } }, Unused: class { unusedToo() {} } };",
+    });
+
+    const MainClass = this.createMainClass();
+    await supplementAll(MainClass, directory, { pick: "Used" });
+    const instance = new MainClass();
+
+    this.assertEqual(instance.used() + instance.alsoUsed(), "usedalso", "Picked exports should be applied from ESM and CommonJS");
+    this.assert(!("unused" in instance) && !("unusedToo" in instance), "Exports that are not picked should be ignored");
+
+    try {
+      await supplementAll(this.createMainClass(), directory, { pick: ["Used", "Missing"] });
+      this.assert(false, "Should reject when a picked export is missing");
+    } catch (error) {
+      this.assert(error.errors.every((e) => e.cause instanceof TypeError), "Missing picked exports should be TypeErrors");
+      this.assert(error.errors[0].message.includes('no export named "Missing"'), "The error should name the missing export");
+    }
+  }
+
+  async testObjectAndMixinModules() {
+    console.log("\n🧪 Testing modules exporting objects and mixins...");
+
+    const directory = await this.createPartialDirectory("kinds", {
+      "helpers.cjs": "module.exports = { format(value) { return `<${value}>`; } };",
+      "mixin.js": "export default (Base) => class extends Base { shout() { return 'hey'; } };",
+    });
+
+    const MainClass = this.createMainClass();
+    const manifest = await supplementAll(MainClass, directory);
+
+    this.assertEqual(new MainClass().format("a"), "<a>", "An object of methods exported by a module should be applied");
+    this.assertEqual(new MainClass().shout(), "hey", "A mixin factory exported by a module should be applied");
+    this.assertEqual(manifest["helpers.cjs"].instance.join(","), "format", "The manifest should list the object's members");
+  }
+
+  async testNoClassExport() {
+    console.log("\n🧪 Testing modules without a class export...");
+
+    const directory = await this.createPartialDirectory("no-class", {
+      "config.cjs": "module.exports = { retries: 3 };",
+    });
+
+    try {
+      await supplementAll(this.createMainClass(), directory);
+      this.assert(false, "Should reject when a module exports no class");
+    } catch (error) {
+      this.assert(error.errors[0].cause instanceof TypeError, "The file error should be caused by a TypeError");
+      this.assert(error.errors[0].message.includes("No partial export found"), "The error should explain what is missing");
+      this.assert(error.errors[0].message.includes("retries"), "The error should list the module's exports");
+    }
+  }
+
+  waitForEvent(emitter, event, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+      emitter.once(event, (payload) => {
+        clearTimeout(timer);
+        resolve(payload);
+      });
+    });
+  }
+
+  async testWatchMode() {
+    console.log("\n🧪 Testing watch mode...");
+
+    const directory = await this.createPartialDirectory("watch", {
+      "greeting.js": "export default class Greeting { greet() { return 'hello'; } }",
+      "notes.txt": "not a partial",
+    });
+
+    const MainClass = this.createMainClass();
+    const watcher = await supplementAll(MainClass, directory, { watch: true });
+
+    try {
+      this.assertEqual(
+        typeof watcher.close,
+        "function",
+        "Watch mode should resolve to a handle with close()"
+      );
+      this.assert(
+        watcher.manifest["greeting.js"] !== undefined,
+        "Watch handle should expose the initial manifest"
+      );
+
+      let changed = this.waitForEvent(watcher, "change");
+      await fs.writeFile(
+        path.join(directory, "greeting.js"),
+        "export default class Greeting { greetLoudly() { return 'HELLO'; } }"
+      );
+      const changeEvent = await changed;
+      this.assertEqual(changeEvent.file, "greeting.js", "Change event should name the file");
+      this.assertEqual(
+        new MainClass().greetLoudly(),
+        "HELLO",
+        "Changed partial should be re-applied"
+      );
+      this.assert(
+        !MainClass.prototype.hasOwnProperty("greet"),
+        "Stale members should be removed on change"
+      );
+
+      const added = this.waitForEvent(watcher, "add");
+      await fs.writeFile(
+        path.join(directory, "farewell.js"),
+        "export default class Farewell { static bye() { return 'bye'; } }"
+      );
+      await added;
+      this.assertEqual(MainClass.bye(), "bye", "Added partial should be applied");
+      this.assert(
+        watcher.manifest["farewell.js"] !== undefined,
+        "Manifest should include added partials"
+      );
+
+      const failed = this.waitForEvent(watcher, "error");
+      await fs.writeFile(path.join(directory, "greeting.js"), "export default class {");
+      const error = await failed;
+      this.assert(error.message.includes("greeting.js"), "Reload errors should name the file");
+      this.assertEqual(
+        new MainClass().greetLoudly(),
+        "HELLO",
+        "A broken edit should keep the previous members"
+      );
+
+      for (const [label, source] of [
+        ["missing requirements", "export default class Greeting { static requires = ['missingMember']; greet() {} }"],
+        [
+          "a failing onSupplement hook",
+          "export default class Greeting { static [Symbol.for('js-partial-classes.onSupplement')]() { throw new Error('hook failed'); } greet() {} }",
+        ],
+      ]) {
+        const rejected = this.waitForEvent(watcher, "error");
+        await fs.writeFile(path.join(directory, "greeting.js"), source);
+        await rejected;
+        this.assertEqual(
+          new MainClass().greetLoudly(),
+          "HELLO",
+          `An edit failing with ${label} should keep the previous members`
+        );
+        this.assert(
+          !MainClass.prototype.hasOwnProperty("greet"),
+          `An edit failing with ${label} should leave none of its members`
+        );
+        this.assert(
+          watcher.manifest["greeting.js"].instance.includes("greetLoudly"),
+          `An edit failing with ${label} should keep the manifest entry`
+        );
+      }
+      this.assertEqual(
+        getSupplementInfo(MainClass).members.instance.get("greetLoudly")?.modulePath,
+        path.join(directory, "greeting.js"),
+        "A failed reload should keep the previous version in the supplement info"
+      );
+
+      const deleted = this.waitForEvent(watcher, "delete");
+      await fs.rm(path.join(directory, "farewell.js"));
+      await deleted;
+      this.assert(!MainClass.hasOwnProperty("bye"), "Deleted partial should be removed");
+      this.assert(
+        watcher.manifest["farewell.js"] === undefined,
+        "Manifest should drop deleted partials"
+      );
+    } catch (error) {
+      this.assert(false, `Watch mode failed: ${error.message}`);
+    } finally {
+      await watcher.close();
+    }
+  }
+
+  async testRecursiveWatchMode() {
+    console.log("\n🧪 Testing recursive watch mode...");
+
+    const originalWatch = watchFs.watch;
+    for (const fallback of [false, true]) {
+      const label = fallback ? "without recursive fs.watch" : "with recursive fs.watch";
+      const directory = await this.createPartialDirectory(`watch-recursive-${fallback}`, {
+        "top.js": "export default class Top { top() { return 'top'; } }",
+      });
+      await fs.mkdir(path.join(directory, "nested"));
+      await fs.writeFile(path.join(directory, "nested", "inner.js"), "export default class Inner { inner() { return 1; } }");
+      if (fallback) {
+        // Node.js before 20 on Linux
+        watchFs.watch = function (target, options, listener) {
+          if (options?.recursive) {
+            throw Object.assign(new TypeError("The feature watch recursively is unavailable on the current platform"), {
+              code: "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM",
+            });
+          }
+          return originalWatch.call(this, target, options, listener);
+        };
+      }
+
+      const MainClass = this.createMainClass();
+      let watcher;
+      try {
+        watcher = await supplementAll(MainClass, directory, { watch: true, recursive: true });
+        const changed = this.waitForEvent(watcher, "change");
+        await fs.writeFile(path.join(directory, "nested", "inner.js"), "export default class Inner { inner() { return 2; } }");
+        this.assertEqual((await changed).file, "nested/inner.js", `Changes in subdirectories should be reloaded ${label}`);
+        this.assertEqual(new MainClass().inner(), 2, `Changed nested partials should be re-applied ${label}`);
+
+        const added = this.waitForEvent(watcher, "add");
+        await fs.mkdir(path.join(directory, "added"));
+        await fs.writeFile(path.join(directory, "added", "late.js"), "export default class Late { late() { return 'late'; } }");
+        this.assertEqual((await added).file, "added/late.js", `Partials in new subdirectories should be applied ${label}`);
+        this.assertEqual(new MainClass().late(), "late", `New nested partials should be applied ${label}`);
+      } catch (error) {
+        this.assert(false, `Recursive watch mode failed ${label}: ${error.message}`);
+      } finally {
+        watchFs.watch = originalWatch;
+        await watcher?.close();
+      }
+    }
+  }
+
   async runAllTests() {
     console.log("🚀 Starting supplementAll function tests...\n");
 
@@ -430,6 +1098,23 @@ This is a text file.
       await this.testNonSupportedFiles();
       await this.testEmptyDirectory();
       await this.testInvalidDirectory();
+      await this.testRelativeDirectory();
+      await this.testManifest();
+      await this.testFailingPartials();
+      await this.testRecursiveScanning();
+      await this.testIncludeExclude();
+      await this.testDeterministicOrder();
+      await this.testPriority();
+      await this.testAfterDependencies();
+      await this.testAfterErrors();
+      await this.testDirectiveNamedMethods();
+      await this.testRequiredMembers();
+      await this.testModuleExports();
+      await this.testPickExports();
+      await this.testObjectAndMixinModules();
+      await this.testNoClassExport();
+      await this.testWatchMode();
+      await this.testRecursiveWatchMode();
 
       console.log(`\n📊 Test Results:`);
       console.log(`   Total tests: ${this.testCount}`);
@@ -440,9 +1125,11 @@ This is a text file.
         console.log("\n🎉 All supplementAll tests passed!");
       } else {
         console.log("\n❌ Some supplementAll tests failed!");
+        process.exitCode = 1;
       }
     } catch (error) {
       console.error("❌ Test suite error:", error);
+      process.exitCode = 1;
     } finally {
       await this.cleanupTestDirectory();
     }
@@ -0,0 +1,272 @@
+import { supplementSync, isSupplemented, myDir } from '../index.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createRequire } from 'module';
+
+const execFileAsync = promisify(execFile);
+const require = createRequire(import.meta.url);
+
+/**
+ * Test suite for the supplementSync function
+ */
+class SupplementSyncTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+    this.testDir = path.join(myDir(import.meta.url), 'test-supplement-sync-types');
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  assertThrows(fn, ErrorType, message) {
+    try {
+      fn();
+      this.assert(false, message);
+    } catch (error) {
+      this.assert(error instanceof ErrorType, message);
+    }
+  }
+
+  // Test classes
+  createValidationPartial() {
+    return class ValidationPartial {
+      static validateEmail(email) {
+        return email.includes('@');
+      }
+
+      validateRequired(value) {
+        return value !== null && value !== undefined && value !== '';
+      }
+
+      describe() {
+        return 'validation';
+      }
+    };
+  }
+
+  createUtilitiesPartial() {
+    return class UtilitiesPartial {
+      formatCurrency(amount) {
+        return `$${amount}`;
+      }
+
+      describe() {
+        return 'utilities';
+      }
+    };
+  }
+
+  // Test cases
+  testStaticBlock() {
+    console.log('\n🧪 Testing static block usage...');
+
+    const ValidationPartial = this.createValidationPartial();
+    const UtilitiesPartial = this.createUtilitiesPartial();
+
+    class MainClass {
+      static {
+        supplementSync(this, ValidationPartial, UtilitiesPartial);
+      }
+    }
+
+    // Same tick as the declaration
+    const instance = new MainClass();
+
+    this.assertEqual(MainClass.validateEmail('a@b.c'), true, 'Static members should be available immediately');
+    this.assertEqual(instance.validateRequired('x'), true, 'Instance members should be available immediately');
+    this.assertEqual(instance.formatCurrency(5), '$5', 'Every partial should be applied');
+    this.assertEqual(instance.describe(), 'utilities', 'Partials should be applied in the order given');
+    this.assertEqual(isSupplemented(MainClass), true, 'Class should report as supplemented immediately');
+  }
+
+  testModuleNamespace() {
+    console.log('\n🧪 Testing imported module namespaces...');
+
+    const MainClass = class {};
+    supplementSync(MainClass, { default: this.createUtilitiesPartial() });
+
+    this.assertEqual(new MainClass().formatCurrency(1), '$1', 'Default export of a namespace should be applied');
+
+    // The namespace of module.exports = { Validation, Utilities }
+    const PickedClass = class {};
+    const cjsNamespace = { default: { Validation: this.createValidationPartial(), Utilities: this.createUtilitiesPartial() } };
+    supplementSync(PickedClass, cjsNamespace, { pick: 'Utilities' });
+
+    this.assertEqual(new PickedClass().formatCurrency(3), '$3', 'Picked CommonJS exports should be applied');
+    this.assert(!PickedClass.hasOwnProperty('validateEmail'), 'Exports that are not picked should be ignored');
+  }
+
+  testArrayAndOptions() {
+    console.log('\n🧪 Testing array form and options...');
+
+    const MainClass = class MainClass {
+      describe() {
+        return 'main';
+      }
+    };
+    supplementSync(MainClass, [this.createValidationPartial(), { default: this.createUtilitiesPartial() }], { conflict: 'skip' });
+
+    this.assertEqual(new MainClass().formatCurrency(2), '$2', 'Every partial of the array should be applied');
+    this.assertEqual(new MainClass().describe(), 'main', 'Options should apply to the whole batch');
+
+    const StrictClass = class StrictClass {
+      describe() {
+        return 'strict';
+      }
+    };
+    this.assertThrows(
+      () => supplementSync(StrictClass, this.createValidationPartial(), this.createUtilitiesPartial(), { conflict: 'error' }),
+      Error,
+      "Should throw in 'error' mode"
+    );
+    this.assert(!StrictClass.hasOwnProperty('validateEmail'), 'Nothing should be applied when the batch conflicts');
+  }
+
+  testRejectsAsyncInputs() {
+    console.log('\n🧪 Testing string paths and promises...');
+
+    const MainClass = class {};
+    const ValidationPartial = this.createValidationPartial();
+
+    this.assertThrows(
+      () => supplementSync(MainClass, ValidationPartial, './partial.js'),
+      TypeError,
+      'Should throw TypeError for a string path'
+    );
+    this.assertThrows(
+      () => supplementSync(MainClass, Promise.resolve(ValidationPartial)),
+      TypeError,
+      'Should throw TypeError for a promise'
+    );
+    this.assertThrows(
+      () => supplementSync(MainClass, null),
+      TypeError,
+      'Should throw TypeError for a non-class'
+    );
+    this.assert(!MainClass.hasOwnProperty('validateEmail'), 'Nothing should be applied when an argument is invalid');
+  }
+
+  async testTypeNarrowing() {
+    console.log('\n🧪 Testing type narrowing...');
+
+    await fs.mkdir(this.testDir, { recursive: true });
+    await fs.writeFile(path.join(this.testDir, 'narrowing.ts'), [
+      "import { supplementSync, Supplemented, CombineStatics } from '../../index.js';",
+      '',
+      'class ValidationPartial {',
+      '  static priority = 1;',
+      "  static validateEmail(email: string): boolean { return email.includes('@'); }",
+      '  validateRequired(value: unknown): boolean { return value != null; }',
+      '}',
+      'const Timestamps = <T extends new (...args: any[]) => object>(Base: T) => class extends Base {',
+      '  static epoch = 0;',
+      '  touch(): number { return 1; }',
+      '};',
+      'const helpers = { shout(this: { name: string }): string { return this.name.toUpperCase(); } };',
+      '',
+      'const UserService = class UserService {',
+      '  constructor(public name: string) {}',
+      '};',
+      'supplementSync(UserService, ValidationPartial, Timestamps, helpers);',
+      "const service = new UserService('ada');",
+      "export const narrowed: [boolean, number, boolean, number, string, string] = [UserService.validateEmail('a@b'), UserService.epoch,",
+      "  service.validateRequired(1), service.touch(), service.shout(), service.name];",
+      '',
+      'const Settings = class Settings {};',
+      "supplementSync(Settings, [ValidationPartial], { conflict: 'error' });",
+      "Settings.validateEmail('a@b');",
+      '// @ts-expect-error options are not merged as a partial',
+      'Settings.conflict;',
+      '',
+      'class Declared {}',
+      'export type Full = Supplemented<typeof Declared, [typeof ValidationPartial, { default: typeof ValidationPartial }]>;',
+      "export const statics: CombineStatics<[typeof ValidationPartial]> = { validateEmail: (email: string) => email !== '' };",
+      '// @ts-expect-error directives are not installed',
+      'statics.priority;',
+      "new (Declared as Full)().validateRequired('x');",
+      '',
+      "const formatters = { format(value: number): string { return value.toFixed(2); } };",
+      'const Report = class Report {};',
+      "supplementSync(Report, formatters, { target: 'static' });",
+      'Report.format(1);',
+      '// @ts-expect-error static objects of methods are not instance members',
+      'new Report().format;',
+      'const Table = class Table {};',
+      "supplementSync(Table, [formatters], { target: 'static', conflict: 'error' });",
+      'Table.format(1);',
+      'const Row = class Row {};',
+      "supplementSync(Row, formatters, { target: 'instance' });",
+      'new Row().format(1);',
+      '// @ts-expect-error instance objects of methods are not statics',
+      'Row.format;',
+    ].join('\n'));
+
+    try {
+      await execFileAsync(process.execPath, [
+        require.resolve('typescript/bin/tsc'), '--noEmit', '--strict', '--skipLibCheck', '--target', 'es2022',
+        '--module', 'esnext', '--moduleResolution', 'node', '--types', 'node', 'narrowing.ts',
+      ], { cwd: this.testDir, timeout: 120000 });
+      this.assert(true, 'supplementSync should narrow the main class to its supplemented type');
+    } catch (error) {
+      this.assert(false, `supplementSync should narrow the main class to its supplemented type: ${error.stdout || error.message}`);
+    } finally {
+      await fs.rm(this.testDir, { recursive: true, force: true });
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting supplementSync function tests...\n');
+
+    try {
+      this.testStaticBlock();
+      this.testModuleNamespace();
+      this.testArrayAndOptions();
+      this.testRejectsAsyncInputs();
+      await this.testTypeNarrowing();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All supplementSync tests passed!');
+      } else {
+        console.log('\n❌ Some supplementSync tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new SupplementSyncTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,295 @@
+import { generateTypes, registerLoader, myDir } from '../index.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createRequire } from 'module';
+
+const execFileAsync = promisify(execFile);
+const require = createRequire(import.meta.url);
+
+/**
+ * Test suite for generateTypes and the gen-types CLI
+ */
+class TypegenTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+    this.testDir = path.join(myDir(import.meta.url), 'test-typegen');
+    this.cli = path.join(myDir(import.meta.url), '..', 'bin', 'partial-classes.js');
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Setup and teardown
+  async createFiles(name, files) {
+    const directory = path.join(this.testDir, name);
+    for (const [file, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+      await fs.writeFile(path.join(directory, file), content);
+    }
+    return directory;
+  }
+
+  async cleanupTestDirectory() {
+    await fs.rm(this.testDir, { recursive: true, force: true });
+  }
+
+  // Test cases
+  async testModuleDeclarations() {
+    console.log('\n🧪 Testing declarations for a class module...');
+
+    const directory = await this.createFiles('module', {
+      'user-service.ts': "export class UserService {\n  name = 'user';\n}\n",
+      'partials/validation.ts': [
+        'export default class ValidationPartial {',
+        '  static priority = 1;',
+        "  static validateEmail(email: string): boolean { return email.includes('@'); }",
+        '  isValid(): boolean { return true; }',
+        '}',
+      ].join('\n'),
+      'partials/mixin.ts': [
+        'export default <T extends new (...args: any[]) => object>(Base: T) => class extends Base {',
+        "  static tag = 'mixed';",
+        '  stamp(): number { return 1; }',
+        '};',
+      ].join('\n'),
+      'partials/format.ts': "export default { format(this: { name: string }): string { return `[${this.name}]`; } };\n",
+      'usage.ts': [
+        "import { UserService } from './user-service.js';",
+        'const service = new UserService();',
+        'export const checks: [boolean, number, string, boolean, string] =',
+        "  [service.isValid(), service.stamp(), service.format(), UserService.validateEmail('a@b'), UserService.tag];",
+      ].join('\n'),
+    });
+
+    const { outFile, content } = await generateTypes({
+      className: 'UserService',
+      classModule: './user-service.js',
+      directory: path.join(directory, 'partials'),
+    });
+
+    this.assertEqual(outFile, path.join(directory, 'UserService.partials.d.ts'), 'Output file should default to <className>.partials.d.ts next to the directory');
+    this.assert(content.includes("declare module './user-service.js' {"), 'Should merge into the class module');
+    this.assert(content.includes("typeof import('./partials/validation.js').default"), 'Should import .ts partials with a .js specifier relative to the output file');
+    this.assert(content.includes("ReturnType<typeof import('./partials/mixin.js').default>"), 'Should take the class a mixin factory returns');
+    this.assert(
+      content.includes('interface UserService extends UserServicePartial0, InstanceType<UserServicePartial1>, InstanceType<UserServicePartial2> {}'),
+      'Should extend the instance side with every partial'
+    );
+    this.assert(content.includes("const validateEmail: UserServicePartial2['validateEmail'];"), 'Should declare static methods as namespace constants');
+    this.assert(content.includes("let tag: UserServicePartial1['tag'];"), 'Should declare static fields as namespace variables');
+    this.assert(!content.includes('priority'), 'Should skip static directives');
+
+    await fs.writeFile(outFile, content);
+    const tsc = require.resolve('typescript/bin/tsc');
+    try {
+      await execFileAsync(process.execPath, [
+        tsc, '--noEmit', '--strict', '--skipLibCheck', '--module', 'nodenext', '--moduleResolution', 'nodenext',
+        '--types', 'node', 'usage.ts', path.basename(outFile),
+      ], { cwd: directory, timeout: 120000 });
+      this.assert(true, 'TypeScript should see the supplemented members through the generated declarations');
+    } catch (error) {
+      this.assert(false, `TypeScript should see the supplemented members through the generated declarations: ${error.stdout || error.message}`);
+    }
+  }
+
+  async testGlobalDeclarations() {
+    console.log('\n🧪 Testing global declarations...');
+
+    const directory = await this.createFiles('global', {
+      'partials/a-counter.js': 'export class Counter { static created = 0; static create() {} increment() {} }\nexport class Named { rename() {} }',
+      'partials/nested/deep.js': 'export default class Deep { deep() {} }',
+    });
+
+    const { content } = await generateTypes({
+      className: 'Store',
+      directory: path.join(directory, 'partials'),
+      outFile: path.join(directory, 'types', 'store.d.ts'),
+      recursive: true,
+    });
+
+    this.assert(!content.includes('declare module'), 'Should not declare a module without classModule');
+    this.assert(content.includes('declare interface Store extends InstanceType<StorePartial0>, InstanceType<StorePartial1>, InstanceType<StorePartial2> {}'), 'Should merge into a global interface');
+    this.assert(content.includes("type StorePartial0 = typeof import('../partials/a-counter.js').Counter;"), 'Should reference named exports relative to the output file');
+    this.assert(content.includes("typeof import('../partials/a-counter.js').Named"), 'Should reference every class a file exports');
+    this.assert(content.includes("typeof import('../partials/nested/deep.js').default"), 'Should scan subdirectories with recursive');
+    this.assert(content.includes('declare namespace Store {'), 'Should merge statics into a global namespace');
+    this.assert(content.includes("let created: StorePartial0['created'];"), 'Should declare static fields');
+  }
+
+  async testObjectTargets() {
+    console.log('\n🧪 Testing objects of methods...');
+
+    const directory = await this.createFiles('objects', {
+      'partials/helpers.js': "export default { slug(value) { return value; }, 'not-an-identifier'() {} };",
+    });
+
+    const { content } = await generateTypes({
+      className: 'Helpers',
+      directory: path.join(directory, 'partials'),
+      target: 'static',
+    });
+
+    this.assert(content.includes('declare interface Helpers {}'), 'Static objects should not extend the instance side');
+    this.assert(content.includes("const slug: HelpersPartial0['slug'];"), 'Static objects should declare namespace members');
+    this.assert(content.includes('// not-an-identifier (from helpers.js) is not a valid identifier'), 'Should note members that cannot be declared');
+
+    const { content: instanceContent } = await generateTypes({ className: 'Helpers', directory: path.join(directory, 'partials') });
+    this.assert(instanceContent.includes('declare interface Helpers extends HelpersPartial0 {}'), 'Instance objects should extend the instance side directly');
+  }
+
+  async testConstructorFunctions() {
+    console.log('\n🧪 Testing constructor functions...');
+
+    const directory = await this.createFiles('constructors', {
+      'partials/legacy.js': 'export function Legacy() {}\nLegacy.prototype.greet = function () {};\nLegacy.create = function () {};',
+    });
+
+    const { content } = await generateTypes({ className: 'Legacy', directory: path.join(directory, 'partials') });
+    this.assert(content.includes("const create: LegacyPartial0['create'];"), 'Should declare static methods of constructor functions');
+    this.assert(!content.includes('prototype'), 'Should not declare the prototype of constructor functions as a static member');
+  }
+
+  async testCustomLoaderFiles() {
+    console.log('\n🧪 Testing files of custom loaders...');
+
+    const directory = await this.createFiles('custom', {
+      'partials/base.js': 'export default class Base { base() {} }',
+      'partials/values.json': '{"answer": 42}',
+    });
+    const unregister = registerLoader('.json', async (file) => {
+      const values = JSON.parse(await fs.readFile(file, 'utf8'));
+      return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, () => value]));
+    });
+    try {
+      const { content } = await generateTypes({ className: 'Config', directory: path.join(directory, 'partials') });
+      this.assert(content.includes('// values.json: no TypeScript types for files loaded by a custom loader'), 'Should note files TypeScript cannot import');
+      this.assert(content.includes('declare interface Config extends InstanceType<ConfigPartial0> {}'), 'Should still declare the other partials');
+    } finally {
+      unregister();
+    }
+  }
+
+  async testErrors() {
+    console.log('\n🧪 Testing errors...');
+
+    const directory = await this.createFiles('errors', {
+      'partials/good.js': 'export default class Good { good() {} }',
+      'partials/bad.js': 'export const retries = 3;',
+    });
+
+    for (const [label, options] of [
+      ['a missing class name', { directory }],
+      ['a class name that is not an identifier', { className: 'my-class', directory }],
+      ['an invalid target', { className: 'Main', directory, target: 'prototype' }],
+    ]) {
+      try {
+        await generateTypes(options);
+        this.assert(false, `Should reject ${label}`);
+      } catch (error) {
+        this.assert(error instanceof TypeError, `Should throw TypeError for ${label}`);
+      }
+    }
+
+    try {
+      await generateTypes({ className: 'Main', directory: './test-typegen/errors/partials' });
+      this.assert(false, 'Should reject files without partial exports');
+    } catch (error) {
+      this.assert(error.name === 'AggregateError' && Array.isArray(error.errors), 'Should throw AggregateError for failing files');
+      this.assertEqual(error.errors.length, 1, 'Should report only the failing file');
+      this.assert(error.errors[0].message.startsWith('bad.js: '), 'Should name the failing file');
+      this.assert(error.message.includes(path.join(directory, 'partials')), 'Should resolve a relative directory against the calling module');
+    }
+  }
+
+  async testCli() {
+    console.log('\n🧪 Testing the gen-types CLI...');
+
+    const directory = await this.createFiles('cli', {
+      'partials/greeting.js': 'export default class Greeting { static greet() {} hello() {} }',
+    });
+
+    const { stdout } = await execFileAsync(process.execPath, [
+      this.cli, 'gen-types', 'partials', '--class', 'Greeter', '--module=./greeter.js', '--out', 'greeter.partials.d.ts',
+    ], { cwd: directory, timeout: 60000 });
+    const written = await fs.readFile(path.join(directory, 'greeter.partials.d.ts'), 'utf8');
+    this.assert(stdout.includes('Wrote greeter.partials.d.ts'), 'Should report the written file');
+    this.assert(written.includes("declare module './greeter.js' {"), 'Should pass --module through');
+    this.assert(written.includes("const greet: GreeterPartial0['greet'];"), 'Should write the declarations');
+
+    const { stdout: printed } = await execFileAsync(process.execPath, [this.cli, 'gen-types', 'partials', '--class', 'Greeter', '--stdout'], { cwd: directory, timeout: 60000 });
+    this.assert(printed.includes('declare interface Greeter extends InstanceType<GreeterPartial0> {}'), 'Should print the declarations with --stdout');
+
+    for (const [label, args] of [
+      ['a missing --class', ['gen-types', 'partials']],
+      ['an unknown option', ['gen-types', 'partials', '--class', 'Greeter', '--verbose']],
+      ['an unknown command', ['build']],
+    ]) {
+      try {
+        await execFileAsync(process.execPath, [this.cli, ...args], { cwd: directory, timeout: 60000 });
+        this.assert(false, `Should fail for ${label}`);
+      } catch (error) {
+        this.assert(error.code === 1 && error.stderr.includes('Usage: partial-classes gen-types'), `Should exit with usage for ${label}`);
+      }
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting type generation tests...\n');
+
+    try {
+      await this.testModuleDeclarations();
+      await this.testGlobalDeclarations();
+      await this.testObjectTargets();
+      await this.testConstructorFunctions();
+      await this.testCustomLoaderFiles();
+      await this.testErrors();
+      await this.testCli();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All type generation tests passed!');
+      } else {
+        console.log('\n❌ Some type generation tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    } finally {
+      await this.cleanupTestDirectory();
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new TypegenTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,203 @@
+import { supplement, supplementAll, unsupplement, myDir } from '../index.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Test suite for the unsupplement function
+ */
+class UnsupplementTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createMainClass() {
+    return class MainClass {
+      static create() {
+        return 'main create';
+      }
+
+      save() {
+        return 'main save';
+      }
+    };
+  }
+
+  createPartialClass(label) {
+    return class PartialClass {
+      static create() {
+        return `${label} create`;
+      }
+
+      static [`${label}Static`]() {
+        return `${label} static`;
+      }
+
+      save() {
+        return `${label} save`;
+      }
+
+      get label() {
+        return label;
+      }
+    };
+  }
+
+  // Test cases
+  async testRemovesAddedMembers() {
+    console.log('\n🧪 Testing removal of added members...');
+
+    const MainClass = this.createMainClass();
+    const PartialClass = this.createPartialClass('logging');
+
+    await supplement(MainClass, PartialClass);
+    const removed = unsupplement(MainClass, PartialClass);
+
+    this.assert(!MainClass.prototype.hasOwnProperty('label'), 'Added accessor should be removed');
+    this.assert(!MainClass.hasOwnProperty('loggingStatic'), 'Added static method should be removed');
+    this.assertEqual(removed.instance.length, 2, 'Should report the removed instance members');
+    this.assertEqual(removed.static.length, 2, 'Should report the removed static members');
+  }
+
+  async testRestoresOverriddenMembers() {
+    console.log('\n🧪 Testing restoration of overridden members...');
+
+    const MainClass = this.createMainClass();
+    const PartialClass = this.createPartialClass('logging');
+
+    await supplement(MainClass, PartialClass);
+    this.assertEqual(new MainClass().save(), 'logging save', 'Partial should override save');
+
+    unsupplement(MainClass, PartialClass);
+
+    this.assertEqual(new MainClass().save(), 'main save', 'Original instance method should be restored');
+    this.assertEqual(MainClass.create(), 'main create', 'Original static method should be restored');
+  }
+
+  async testLayeredPartials() {
+    console.log('\n🧪 Testing layered partials...');
+
+    const MainClass = this.createMainClass();
+    const FirstPartial = this.createPartialClass('first');
+    const SecondPartial = this.createPartialClass('second');
+
+    await supplement(MainClass, FirstPartial);
+    await supplement(MainClass, SecondPartial);
+
+    unsupplement(MainClass, FirstPartial);
+    this.assertEqual(new MainClass().save(), 'second save', 'Later partial should keep its override');
+    this.assert(!MainClass.hasOwnProperty('firstStatic'), 'Members only the first partial added should be removed');
+    this.assertEqual(MainClass.secondStatic(), 'second static', 'Members of the later partial should remain');
+
+    unsupplement(MainClass, SecondPartial);
+    this.assertEqual(new MainClass().save(), 'main save', 'Original should be restored once both are removed');
+    this.assert(!MainClass.prototype.hasOwnProperty('label'), 'Accessor added by both should be removed');
+  }
+
+  async testReapply() {
+    console.log('\n🧪 Testing removing and re-applying a partial...');
+
+    const MainClass = this.createMainClass();
+    const PartialClass = this.createPartialClass('plugin');
+
+    await supplement(MainClass, PartialClass);
+    unsupplement(MainClass, PartialClass);
+    await supplement(MainClass, PartialClass, { conflict: 'error' }).catch(() => {});
+    this.assertEqual(new MainClass().label, undefined, 'Conflicting re-application should not apply anything');
+
+    await supplement(MainClass, PartialClass);
+    this.assertEqual(new MainClass().label, 'plugin', 'Partial should be applicable again');
+  }
+
+  async testByModulePath() {
+    console.log('\n🧪 Testing removal by module path...');
+
+    const directory = path.join(myDir(import.meta.url), 'test-partial-classes', 'unsupplement');
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, 'toggle.js'),
+      "export default class TogglePartial { toggle() { return 'on'; } }"
+    );
+
+    try {
+      const MainClass = this.createMainClass();
+      await supplementAll(MainClass, directory);
+      this.assertEqual(new MainClass().toggle(), 'on', 'Partial should be applied');
+
+      unsupplement(MainClass, path.join(directory, 'toggle.js'));
+      this.assert(!MainClass.prototype.hasOwnProperty('toggle'), 'Partial loaded from a file should be removable by path');
+    } finally {
+      await fs.rm(path.dirname(directory), { recursive: true, force: true });
+    }
+  }
+
+  async testNotApplied() {
+    console.log('\n🧪 Testing partial that was never applied...');
+
+    const MainClass = this.createMainClass();
+    try {
+      unsupplement(MainClass, this.createPartialClass('missing'));
+      this.assert(false, 'Should throw for a partial that was not applied');
+    } catch (error) {
+      this.assert(error.message.includes('has not been supplemented'), 'Should explain the partial was not applied');
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting unsupplement function tests...\n');
+
+    try {
+      await this.testRemovesAddedMembers();
+      await this.testRestoresOverriddenMembers();
+      await this.testLayeredPartials();
+      await this.testReapply();
+      await this.testByModulePath();
+      await this.testNotApplied();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All unsupplement tests passed!');
+      } else {
+        console.log('\n❌ Some unsupplement tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new UnsupplementTestSuite();
+testSuite.runAllTests();
@@ -0,0 +1,252 @@
+import { supplement, supplementAll, whenSupplemented, isSupplemented } from '../index.js';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Test suite for the whenSupplemented and isSupplemented functions
+ */
+class WhenSupplementedTestSuite {
+  constructor() {
+    this.testCount = 0;
+    this.passedTests = 0;
+    this.failedTests = 0;
+  }
+
+  // Test helper methods
+  assert(condition, message) {
+    this.testCount++;
+    if (condition) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}`);
+    }
+  }
+
+  assertEqual(actual, expected, message) {
+    this.testCount++;
+    if (actual === expected) {
+      this.passedTests++;
+      console.log(`✅ ${message}`);
+    } else {
+      this.failedTests++;
+      console.log(`❌ ${message}: expected ${expected}, got ${actual}`);
+    }
+  }
+
+  // Test classes
+  createPartialClass() {
+    return class PartialClass {
+      static staticMethod() {
+        return 'Static method from partial';
+      }
+
+      instanceMethod() {
+        return 'Instance method from partial';
+      }
+    };
+  }
+
+  // Test cases
+  async testStaticBlockSupplement() {
+    console.log('\n🧪 Testing supplement started in a static block...');
+
+    const PartialClass = this.createPartialClass();
+    class MainClass {
+      static {
+        supplement(this, Promise.resolve({ default: PartialClass }));
+      }
+    }
+
+    this.assertEqual(isSupplemented(MainClass), false, 'Should not be supplemented while pending');
+
+    await whenSupplemented(MainClass);
+
+    this.assertEqual(isSupplemented(MainClass), true, 'Should be supplemented once complete');
+    this.assertEqual(MainClass.staticMethod(), 'Static method from partial', 'Static method should be available');
+    this.assertEqual(new MainClass().instanceMethod(), 'Instance method from partial', 'Instance method should be available');
+  }
+
+  async testLaterSupplements() {
+    console.log('\n🧪 Testing supplements registered while waiting...');
+
+    const MainClass = class {};
+    const LaterPartial = class {
+      laterMethod() {
+        return 'later';
+      }
+    };
+
+    let releaseFirst;
+    supplement(MainClass, new Promise((resolve) => {
+      releaseFirst = resolve;
+    }));
+    const ready = whenSupplemented(MainClass);
+
+    supplement(MainClass, new Promise((resolve) => setTimeout(() => resolve(LaterPartial), 10)));
+    releaseFirst(this.createPartialClass());
+
+    await ready;
+
+    this.assertEqual(typeof MainClass.prototype.laterMethod, 'function', 'Should wait for supplements registered later');
+    this.assertEqual(isSupplemented(MainClass), true, 'Should be supplemented after all complete');
+  }
+
+  async testNeverSupplemented() {
+    console.log('\n🧪 Testing class that was never supplemented...');
+
+    const MainClass = class {};
+
+    await whenSupplemented(MainClass);
+
+    this.assert(true, 'Should resolve immediately');
+    this.assertEqual(isSupplemented(MainClass), false, 'Should not report as supplemented');
+  }
+
+  async testFailedSupplement() {
+    console.log('\n🧪 Testing failed supplement...');
+
+    const MainClass = class {};
+    supplement(MainClass, this.createPartialClass());
+    supplement(MainClass, Promise.reject(new Error('import failed'))).catch(() => {});
+
+    try {
+      await whenSupplemented(MainClass);
+      this.assert(false, 'Should reject when a supplement fails');
+    } catch (error) {
+      this.assertEqual(error.message, 'import failed', 'Should reject with the supplement error');
+    }
+    this.assertEqual(isSupplemented(MainClass), false, 'Should not report as supplemented after a failure');
+  }
+
+  async testMultipleFailures() {
+    console.log('\n🧪 Testing multiple failed supplements...');
+
+    const MainClass = class {};
+    supplement(MainClass, Promise.reject(new Error('first'))).catch(() => {});
+    supplement(MainClass, Promise.reject(new Error('second'))).catch(() => {});
+
+    try {
+      await whenSupplemented(MainClass);
+      this.assert(false, 'Should reject when supplements fail');
+    } catch (error) {
+      this.assert(error.name === 'AggregateError' && Array.isArray(error.errors), 'Should reject with an AggregateError');
+      this.assertEqual(error.errors.length, 2, 'Should include every failure');
+    }
+  }
+
+  async testUnawaitedFailure() {
+    console.log('\n🧪 Testing a failed supplement that is never awaited...');
+
+    // In separate processes, to see what reaches the process when the supplement fails
+    const index = JSON.stringify(new URL('../index.js', import.meta.url).href);
+    const run = async (lines) => {
+      const script = [
+        `import { supplement, supplementAll, whenSupplemented } from ${index};`,
+        ...lines,
+        'await new Promise((resolve) => setTimeout(resolve, 50));',
+      ].join('\n');
+      return execFileAsync(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 });
+    };
+
+    try {
+      const { stdout, stderr } = await run([
+        "class MainClass { static { supplement(this, './missing.mjs'); } }",
+        'try {',
+        '  await whenSupplemented(MainClass);',
+        "  console.log('resolved');",
+        '} catch (error) {',
+        "  console.log('rejected');",
+        '}',
+      ]);
+      this.assertEqual(stdout.trim(), 'rejected', 'whenSupplemented should reject with the failure');
+      this.assert(!stderr.includes('SupplementWarning'), 'A failure observed through whenSupplemented should not be warned about');
+    } catch (error) {
+      this.assert(false, `The process should not exit on the failure of an unawaited supplement: ${error.stderr || error.message}`);
+    }
+
+    try {
+      const { stderr } = await run([
+        "class MainClass { static { supplement(this, './missing.mjs'); } }",
+        "class OtherClass { static { supplementAll(this, './missing-directory'); } }",
+      ]);
+      this.assert(stderr.includes('SupplementWarning: Supplementing MainClass failed'), 'A failure nobody observes should be emitted as a warning');
+      this.assert(stderr.includes('SupplementWarning: Supplementing OtherClass failed'), 'A supplementAll failure nobody observes should be emitted as a warning');
+    } catch (error) {
+      this.assert(false, `The process should not exit on the failure of an unawaited supplement: ${error.stderr || error.message}`);
+    }
+
+    try {
+      const { stdout, stderr } = await run([
+        'class MainClass {}',
+        "supplement(MainClass, './missing.mjs').catch(() => console.log('caught'));",
+      ]);
+      this.assertEqual(stdout.trim(), 'caught', 'A chained supplement should reject');
+      this.assert(!stderr.includes('SupplementWarning'), 'A failure handled on the promise should not be warned about');
+    } catch (error) {
+      this.assert(false, `A chained supplement should not end the process: ${error.stderr || error.message}`);
+    }
+
+    const MainClass = class {};
+    try {
+      await supplement(MainClass, Promise.reject(new Error('import failed')));
+      this.assert(false, 'Awaiting supplement should still reject');
+    } catch (error) {
+      this.assertEqual(error.message, 'import failed', 'Awaiting supplement should still reject');
+    }
+    try {
+      await supplementAll(class {}, './missing-directory');
+      this.assert(false, 'Awaiting supplementAll should still reject');
+    } catch (error) {
+      this.assert(error instanceof Error, 'Awaiting supplementAll should still reject');
+    }
+  }
+
+  async testSubclassIsolation() {
+    console.log('\n🧪 Testing subclass of a supplemented class...');
+
+    const MainClass = class {};
+    await supplement(MainClass, this.createPartialClass());
+    const SubClass = class extends MainClass {};
+
+    this.assertEqual(isSupplemented(MainClass), true, 'Base class should be supplemented');
+    this.assertEqual(isSupplemented(SubClass), false, 'Subclass should not inherit supplementation status');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting whenSupplemented function tests...\n');
+
+    try {
+      await this.testStaticBlockSupplement();
+      await this.testLaterSupplements();
+      await this.testNeverSupplemented();
+      await this.testFailedSupplement();
+      await this.testMultipleFailures();
+      await this.testUnawaitedFailure();
+      await this.testSubclassIsolation();
+
+      console.log(`\n📊 Test Results:`);
+      console.log(`   Total tests: ${this.testCount}`);
+      console.log(`   Passed: ${this.passedTests}`);
+      console.log(`   Failed: ${this.failedTests}`);
+
+      if (this.failedTests === 0) {
+        console.log('\n🎉 All whenSupplemented tests passed!');
+      } else {
+        console.log('\n❌ Some whenSupplemented tests failed!');
+        process.exitCode = 1;
+      }
+
+    } catch (error) {
+      console.error('❌ Test suite error:', error);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the test suite
+const testSuite = new WhenSupplementedTestSuite();
+testSuite.runAllTests();
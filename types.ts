@@ -60,13 +60,13 @@ export type Instances<T extends Array<new (...args: any) => any>> = {
 /**
  * Combines multiple class constructors into a single combined type.
  * 
- * This is the main utility type that combines the static and instance
- * properties of multiple classes. It's particularly useful for creating
- * type definitions that represent classes after supplementation with
- * partial classes.
+ * This utility type combines the instance properties of multiple classes,
+ * which is useful for typing instances of classes after supplementation
+ * with partial classes. Static members are not included; use
+ * {@link Supplemented} (or {@link CombineStatics}) for the class itself.
  * 
  * @template T - Array of class constructors to combine
- * @returns Combined type with all static and instance properties
+ * @returns Combined type with all instance properties
  * 
  * @example
  * ```typescript
@@ -88,10 +88,7 @@ export type Instances<T extends Array<new (...args: any) => any>> = {
  * // Create a type that represents the combined class
  * export type HomeFull = Combine<[typeof Home, typeof HomePartial]>;
  * 
- * // HomeFull now includes:
- * // - All static methods from Home and HomePartial
- * // - All instance methods from Home and HomePartial
- * // - All properties from both classes
+ * // HomeFull now includes all instance methods and properties from Home and HomePartial
  * ```
  * 
  * @example
@@ -125,6 +122,136 @@ export type Instances<T extends Array<new (...args: any) => any>> = {
  */
 export type Combine<T extends Array<new (...args: any) => any>> = CombineInstances<Instances<T>>;
 
+/**
+ * Static members of a partial that supplement never installs: the `prototype`
+ * and the ordering, advice, requirement and field directives.
+ *
+ * @since 1.2.0
+ */
+export type PartialDirectiveKey = 'prototype' | 'priority' | 'after' | 'advice' | 'requires' | 'fields';
+
+/**
+ * Resolves a partial to the class it stands for: a class as-is, the class a
+ * mixin factory returns, the default export of an imported module, or a class
+ * whose prototype holds the members of an object of methods.
+ *
+ * @template P - A partial class, mixin factory, module namespace or object of methods
+ * @returns The constructor type of the partial
+ *
+ * @example
+ * ```typescript
+ * const Timestamps = <T extends new (...args: any[]) => object>(Base: T) =>
+ *   class extends Base { touch() {} };
+ *
+ * type TimestampsClass = PartialClass<typeof Timestamps>;
+ * // Result: the class returned by Timestamps
+ * ```
+ *
+ * @since 1.2.0
+ */
+export type PartialClass<P> = P extends abstract new (...args: any) => any
+  ? P
+  : P extends (Base: any) => infer R
+    ? R extends abstract new (...args: any) => any ? R : never
+    : P extends { default: infer D }
+      ? PartialClass<D>
+      : { new (): P; prototype: P };
+
+/**
+ * Side of the main class an object of methods is applied to, as set by the `target` option
+ * (`ObjectTarget` in index.d.ts).
+ */
+type PartialTarget = 'instance' | 'static';
+
+/**
+ * Resolves an imported module namespace to its default export, leaving other partials as-is.
+ */
+type PartialExport<P> = P extends Function ? P : P extends { default: infer D } ? PartialExport<D> : P;
+
+/**
+ * The instance members one partial contributes. An object of methods only contributes them with
+ * the `'instance'` target.
+ */
+type PartialInstance<P, Target extends PartialTarget> = PartialExport<P> extends Function
+  ? PartialClass<P> extends abstract new (...args: any) => infer R ? R : never
+  : Target extends 'static' ? unknown : PartialExport<P>;
+
+/**
+ * The static members one partial contributes. An object of methods only contributes them with
+ * the `'static'` target.
+ */
+type PartialStatics<P, Target extends PartialTarget> = PartialExport<P> extends Function
+  ? Omit<PartialClass<P>, PartialDirectiveKey>
+  : Target extends 'static' ? PartialExport<P> : unknown;
 
+/**
+ * Maps an array of partials to the instance types they contribute.
+ */
+type PartialInstances<T extends any[], Target extends PartialTarget> = {
+  [K in keyof T]: PartialInstance<T[K], Target>;
+};
 
+/**
+ * Recursively combines the static sides of an array of partials.
+ *
+ * The construct signature, `prototype` and partial directives such as
+ * `priority` are left out, so the result holds exactly the static members
+ * supplement copies onto the main class. Objects of methods only count with
+ * the `'static'` target.
+ *
+ * @template T - Array of partial classes, mixin factories, module namespaces or objects of methods
+ * @template Target - The `target` option the partials are applied with
+ * @returns Intersection of the static members of all partials
+ *
+ * @example
+ * ```typescript
+ * class ValidationPartial { static validateEmail(email: string) { return true; } }
+ * class UtilitiesPartial { static formatDate(date: Date) { return ''; } }
+ *
+ * type Statics = CombineStatics<[typeof ValidationPartial, typeof UtilitiesPartial]>;
+ * // Result: { validateEmail(email: string): boolean } & { formatDate(date: Date): string }
+ * ```
+ *
+ * @since 1.2.0
+ */
+export type CombineStatics<T extends any[], Target extends PartialTarget = 'instance'> = T extends [infer First, ...infer Rest]
+  ? PartialStatics<First, Target> & CombineStatics<Rest, Target>
+  : unknown;
 
+/**
+ * The type of a main class after supplementation with an array of partials:
+ * its own statics merged with those of the partials, and a constructor with
+ * the main class's parameters creating instances that have the members of the
+ * main class and all partials.
+ *
+ * Objects of methods are counted as instance members, as with the default
+ * `target: 'instance'`, or as statics with `'static'`.
+ *
+ * @template Main - The main class (`typeof MainClass`)
+ * @template Partials - Array of partial classes, mixin factories, module namespaces or objects of methods
+ * @template Target - The `target` option the partials are applied with
+ * @returns The supplemented class type
+ *
+ * @example
+ * ```typescript
+ * class UserService {
+ *   addUser(user: User) {}
+ * }
+ * supplementSync(UserService, ValidationPartial, UtilitiesPartial);
+ *
+ * // Or without supplementSync's narrowing:
+ * const Service = UserService as Supplemented<typeof UserService, [typeof ValidationPartial, typeof UtilitiesPartial]>;
+ * Service.validateEmail('test@example.com'); // static from ValidationPartial
+ * new Service().formatCurrency(1234.56);     // instance method from UtilitiesPartial
+ * ```
+ *
+ * @since 1.2.0
+ */
+export type Supplemented<
+  Main extends abstract new (...args: any) => any,
+  Partials extends any[],
+  Target extends PartialTarget = 'instance',
+> = {
+  new (...args: ConstructorParameters<Main>): InstanceType<Main> & CombineInstances<PartialInstances<Partials, Target>>;
+  prototype: InstanceType<Main> & CombineInstances<PartialInstances<Partials, Target>>;
+} & Main & CombineStatics<Partials, Target>;
@@ -0,0 +1,155 @@
+import { readDirective } from './order.js';
+
+/**
+ * Kinds of advice a partial can declare in its `static advice` directive.
+ *
+ * - `before` - `method(...args)` runs before the existing implementation, which is then called with the same arguments
+ * - `after` - `method(result, ...args)` runs after the existing implementation; returning anything but
+ *   `undefined` replaces the result
+ * - `around` - `method(next, ...args)` runs instead of the existing implementation, which it can call as `next(...args)`
+ *
+ * @since 1.2.0
+ */
+export const ADVICE_KINDS = ['before', 'after', 'around'];
+
+const SIDES = ['instance', 'static'];
+
+/**
+ * Reads and validates the `static advice` directive of a partial class.
+ *
+ * @param {Function} PartialClass - The partial class
+ * @param {string} source - Label of the partial, used in error messages
+ * @returns {{instance: Object, static: Object}} The advice kind of each advised member, by side
+ * @throws {TypeError} If the directive is malformed or names an unknown kind of advice
+ */
+export const readAdvice = (PartialClass, source) => {
+  const advice = readDirective(PartialClass, 'advice');
+  if (advice === undefined) {
+    return { instance: {}, static: {} };
+  }
+  if (advice === null || typeof advice !== 'object') {
+    throw new TypeError(`${source}: static advice must be an object like { instance: { save: 'around' } }`);
+  }
+  for (const side of Reflect.ownKeys(advice)) {
+    if (!SIDES.includes(side)) {
+      throw new TypeError(`${source}: static advice only accepts "instance" and "static" keys, got "${String(side)}"`);
+    }
+    if (advice[side] === null || typeof advice[side] !== 'object') {
+      throw new TypeError(`${source}: static advice.${side} must be an object mapping member names to advice kinds`);
+    }
+    for (const key of Reflect.ownKeys(advice[side])) {
+      if (!ADVICE_KINDS.includes(advice[side][key])) {
+        throw new TypeError(
+          `${source}: invalid advice "${advice[side][key]}" for ${side} member "${String(key)}". Expected one of ${ADVICE_KINDS.join(', ')}`
+        );
+      }
+    }
+  }
+  return { instance: advice.instance ?? {}, static: advice.static ?? {} };
+};
+
+/**
+ * Finds the descriptor of `key` on `target` or the objects it inherits from.
+ */
+export const findDescriptor = (target, key) => {
+  for (let current = target; current; current = Object.getPrototypeOf(current)) {
+    const descriptor = Object.getOwnPropertyDescriptor(current, key);
+    if (descriptor) {
+      return descriptor;
+    }
+  }
+  return undefined;
+};
+
+// The implementation each composed method currently advises, by composed method
+const advisedImplementations = new WeakMap();
+
+/**
+ * Composes a partial method with the implementation it advises.
+ *
+ * The composed method keeps the name, length and property flags of the existing one. The existing
+ * implementation is captured when the partial is applied, and replaced through rebaseAdvice when it
+ * is rolled back.
+ *
+ * @param {string} kind - One of ADVICE_KINDS
+ * @param {string|symbol} key - The member key
+ * @param {PropertyDescriptor|undefined} existing - The descriptor of the implementation being advised
+ * @param {PropertyDescriptor} incoming - The descriptor of the partial's advice method
+ * @param {Object} meta - Details about the member (side, existingSource, incomingSource)
+ * @returns {PropertyDescriptor} The descriptor of the composed method
+ * @throws {TypeError} If there is no existing method to advise or the advice is not a method
+ */
+export const composeAdvice = (kind, key, existing, incoming, meta) => {
+  const label = `${kind} advice for ${meta.side} member "${String(key)}" from ${meta.incomingSource}`;
+  if (typeof incoming.value !== 'function') {
+    throw new TypeError(`Cannot apply ${label}: the advice must be a method`);
+  }
+  if (typeof existing?.value !== 'function') {
+    throw new TypeError(`Cannot apply ${label}: ${meta.existingSource} has no such method`);
+  }
+
+  const advised = { label, implementation: existing.value };
+  const original = (self, args) => {
+    if (!advised.implementation) {
+      throw new TypeError(`Cannot call ${advised.label}: the method it advises has been removed`);
+    }
+    return advised.implementation.apply(self, args);
+  };
+  const advice = incoming.value;
+  let composed;
+  switch (kind) {
+    case 'before':
+      composed = function (...args) {
+        advice.apply(this, args);
+        return original(this, args);
+      };
+      break;
+    case 'after':
+      composed = function (...args) {
+        const result = original(this, args);
+        const replaced = advice.call(this, result, ...args);
+        return replaced === undefined ? result : replaced;
+      };
+      break;
+    case 'around':
+      composed = function (...args) {
+        return advice.call(this, (...nextArgs) => original(this, nextArgs), ...args);
+      };
+      break;
+  }
+  Object.defineProperty(composed, 'name', { value: existing.value.name });
+  Object.defineProperty(composed, 'length', { value: existing.value.length });
+  advisedImplementations.set(composed, advised);
+  return { ...existing, value: composed };
+};
+
+/**
+ * Points a composed method at a new implementation to advise, after the one it advised was rolled back.
+ *
+ * Descriptors that are not composed advice are left alone.
+ *
+ * @param {PropertyDescriptor} descriptor - The descriptor that may hold a composed method
+ * @param {PropertyDescriptor|undefined} existing - The implementation now underneath it, if any
+ */
+export const rebaseAdvice = (descriptor, existing) => {
+  const advised = advisedImplementations.get(descriptor?.value);
+  if (advised) {
+    advised.implementation = typeof existing?.value === 'function' ? existing.value : undefined;
+  }
+};
+
+/**
+ * Makes `wrapped`, a descriptor whose method wraps the composed method of `descriptor` (such as the
+ * wrapper that runs partial initializers), rebase the same advice through rebaseAdvice.
+ *
+ * @param {PropertyDescriptor} descriptor - The descriptor that may hold a composed method
+ * @param {PropertyDescriptor} wrapped - The descriptor installed in its place
+ * @returns {PropertyDescriptor} `wrapped`
+ */
+export const forwardAdvice = (descriptor, wrapped) => {
+  const advised = advisedImplementations.get(descriptor?.value);
+  if (advised && typeof wrapped.value === 'function') {
+    advisedImplementations.set(wrapped.value, advised);
+  }
+  return wrapped;
+};
@@ -0,0 +1,71 @@
+/**
+ * Conflict modes accepted by the `conflict` option of supplement and supplementAll.
+ *
+ * - `override` - the partial member replaces the existing one (default)
+ * - `skip` - the existing member is kept
+ * - `warn` - like `override`, but a warning is printed
+ * - `error` - an error naming both sources is thrown and nothing is applied
+ *
+ * Conflicts are reported once per call: a batch of partials produces a single warning or error
+ * listing every collision.
+ *
+ * @since 1.2.0
+ */
+export const CONFLICT_MODES = ['override', 'skip', 'warn', 'error'];
+
+const describeConflict = (key, meta) =>
+  `${meta.side} member "${String(key)}" from ${meta.incomingSource} conflicts with the one defined by ${meta.existingSource}`;
+
+/**
+ * Decides which descriptor to install when a partial member collides with an existing one.
+ *
+ * @param {string|Function} conflict - One of CONFLICT_MODES or a resolver `(key, existing, incoming, meta) => descriptor`
+ * @param {string|symbol} key - The member key
+ * @param {PropertyDescriptor} existing - The descriptor currently on the main class
+ * @param {PropertyDescriptor} incoming - The descriptor provided by the partial class
+ * @param {Object} meta - Details about the collision (side, mainClass, partialClass, existingSource, incomingSource)
+ * @returns {PropertyDescriptor|undefined} The descriptor to install, or undefined to keep the existing member.
+ *   In `warn` and `error` modes this is the incoming descriptor; the collision is reported by reportConflicts
+ * @throws {TypeError} If the conflict option is not recognised
+ * @since 1.2.0
+ */
+export const resolveConflict = (conflict, key, existing, incoming, meta) => {
+  if (typeof conflict === 'function') {
+    return conflict(key, existing, incoming, meta) || undefined;
+  }
+  switch (conflict) {
+    case 'override':
+    case 'warn':
+    case 'error':
+      return incoming;
+    case 'skip':
+      return undefined;
+    default:
+      throw new TypeError(
+        `Invalid conflict option "${conflict}". Expected one of ${CONFLICT_MODES.join(', ')} or a resolver function`
+      );
+  }
+};
+
+/**
+ * Reports the collisions found while planning a supplementation, before anything is installed.
+ *
+ * @param {string|Function} conflict - The conflict option the collisions were resolved with
+ * @param {Array<{key: string|symbol, meta: Object}>} conflicts - The collisions, in application order
+ * @throws {Error} In `error` mode, listing every collision; the error's `conflicts` property holds them
+ * @since 1.2.0
+ */
+export const reportConflicts = (conflict, conflicts) => {
+  if (!conflicts.length || (conflict !== 'warn' && conflict !== 'error')) {
+    return;
+  }
+  const details = conflicts.map(({ key, meta }) => describeConflict(key, meta));
+  const summary = details.length === 1 ? details[0] : `\n  - ${details.join('\n  - ')}`;
+  if (conflict === 'warn') {
+    console.warn(`Overriding ${summary}`);
+    return;
+  }
+  const error = new Error(`Supplement conflict: ${summary}`);
+  error.conflicts = conflicts;
+  throw error;
+};
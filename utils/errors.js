@@ -0,0 +1,34 @@
+/**
+ * Creates an AggregateError holding `errors`.
+ *
+ * Node.js 14 has no AggregateError, so there an Error named 'AggregateError' with the same
+ * `errors` property is created instead.
+ *
+ * @param {Error[]} errors - The aggregated errors
+ * @param {string} message - The error message
+ * @returns {Error} The aggregated error
+ */
+export const createAggregateError = (errors, message) => {
+  if (typeof AggregateError === 'function') {
+    return new AggregateError(errors, message);
+  }
+  const error = new Error(message);
+  error.name = 'AggregateError';
+  Object.defineProperty(error, 'errors', { value: [...errors], writable: true, configurable: true });
+  return error;
+};
+
+/**
+ * Creates an Error with a `cause`, also on Node.js versions before 16.9 that ignore the `cause` option.
+ *
+ * @param {string} message - The error message
+ * @param {*} cause - The error that caused this one
+ * @returns {Error} The error
+ */
+export const createErrorWithCause = (message, cause) => {
+  const error = new Error(message, { cause });
+  if (!('cause' in error)) {
+    Object.defineProperty(error, 'cause', { value: cause, writable: true, configurable: true });
+  }
+  return error;
+};
@@ -0,0 +1,131 @@
+/**
+ * Tells whether a value can be applied as a partial class: a class or constructor function.
+ */
+export const isClassLike = (value) =>
+  typeof value === 'function' && typeof value.prototype === 'object' && value.prototype !== null;
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Tells whether a value is a mixin factory such as `(Base) => class extends Base {}`.
+ *
+ * Only functions without a `prototype` (arrow functions and methods) qualify; a `function` that
+ * returns a class cannot be told apart from a constructor.
+ */
+export const isMixinFactory = (value) => typeof value === 'function' && value.prototype === undefined;
+
+/**
+ * Tells whether a value is an object of methods to apply as a partial, like `{ format() {}, parse() {} }`:
+ * a plain object (not a module namespace) with at least one method or accessor.
+ */
+export const isPartialObject = (value) => {
+  if (!isObject(value) || value[Symbol.toStringTag] === 'Module') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return false;
+  }
+  return Reflect.ownKeys(value).some((key) => {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    return typeof descriptor.value === 'function' || descriptor.get !== undefined || descriptor.set !== undefined;
+  });
+};
+
+/**
+ * Tells whether a value can be applied as a partial: a class, a mixin factory or an object of methods.
+ */
+export const isPartialLike = (value) => isClassLike(value) || isMixinFactory(value) || isPartialObject(value);
+
+/**
+ * Lists the names and class-like values of an object's own enumerable string-keyed properties.
+ */
+const classEntries = (object) =>
+  Object.keys(object)
+    .filter((name) => name !== 'default' && isClassLike(object[name]))
+    .map((name) => ({ exportName: name, partial: object[name] }));
+
+/**
+ * Resolves a loaded partial module (or an already imported partial) to the partials to apply.
+ *
+ * Without `pick`, the first rule that yields partials wins:
+ * 1. a partial given directly (a class, a mixin factory or a plain object of methods), or the default
+ *    export when it is a class or mixin factory (ESM `export default class`, CommonJS `module.exports = class`)
+ * 2. the default export of a transpiled ES module (`exports.__esModule` with `exports.default = class`)
+ * 3. the classes of a default export that is an object (CommonJS `module.exports = { A, B }` or
+ *    `exports.A = class`, ESM `export default { A, B }`), in property order, or else the default
+ *    export itself when it is an object of methods
+ * 4. the named class exports of an ES module namespace, in export order
+ *
+ * With `pick`, exactly the named exports are used, looked up on the namespace and then on an object
+ * default export, so the same names work for ESM and CommonJS modules.
+ *
+ * @param {*} loaded - The module namespace, partial or exports object
+ * @param {Object} [options]
+ * @param {string|string[]} [options.pick] - Names of the exports to use
+ * @param {string} [options.source='partial'] - Label of the module, used in error messages
+ * @returns {Array<{partial: Function|Object, exportName: string|undefined}>} The partials with the export
+ *   each came from (`undefined` for a partial given directly)
+ * @throws {TypeError} If a picked export is missing or not a partial, or no partial export is found
+ * @since 1.2.0
+ */
+export const resolvePartialExports = (loaded, { pick, source = 'partial' } = {}) => {
+  if (pick !== undefined) {
+    const names = [].concat(pick);
+    if (!names.length || names.some((name) => typeof name !== 'string')) {
+      throw new TypeError('The pick option must be an export name or an array of export names');
+    }
+    return names.map((exportName) => {
+      let partial = isObject(loaded) || typeof loaded === 'function' ? loaded[exportName] : undefined;
+      if (partial === undefined && isObject(loaded?.default)) {
+        partial = loaded.default[exportName];
+      }
+      if (!isPartialLike(partial)) {
+        throw new TypeError(
+          partial === undefined
+            ? `${source} has no export named "${exportName}"`
+            : `Export "${exportName}" of ${source} is not a class, mixin factory or object of methods`
+        );
+      }
+      return { partial, exportName };
+    });
+  }
+
+  // A plain object with a default key is read as a module namespace
+  if (isClassLike(loaded) || isMixinFactory(loaded) || (isPartialObject(loaded) && !('default' in loaded))) {
+    return [{ partial: loaded, exportName: undefined }];
+  }
+  if (!isObject(loaded)) {
+    throw new TypeError(`Expected ${source} to be a partial class or module, got ${loaded === null ? 'null' : typeof loaded}`);
+  }
+
+  const fallback = loaded.default;
+  if (isClassLike(fallback) || isMixinFactory(fallback)) {
+    return [{ partial: fallback, exportName: 'default' }];
+  }
+  if (isObject(fallback)) {
+    if (fallback.__esModule && (isClassLike(fallback.default) || isMixinFactory(fallback.default))) {
+      return [{ partial: fallback.default, exportName: 'default' }];
+    }
+    const fromDefault = classEntries(fallback);
+    if (fromDefault.length) {
+      return fromDefault;
+    }
+    if (isPartialObject(fallback)) {
+      return [{ partial: fallback, exportName: 'default' }];
+    }
+  }
+  const named = classEntries(loaded);
+  if (named.length) {
+    return named;
+  }
+
+  // A CommonJS module's properties may only be visible on its default export
+  const exported = [...new Set(Object.keys(loaded).flatMap((name) =>
+    name === 'default' && isObject(fallback) ? Object.keys(fallback) : [name]))];
+  throw new TypeError(
+    `No partial export found in ${source}` +
+      (exported.length ? ` (exports: ${exported.join(', ')})` : ' (it has no exports)') +
+      '. Export a class, mixin factory or object of methods as default or as module.exports, or use the pick option'
+  );
+};
@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Patterns that are always excluded when scanning for partial class files.
+ *
+ * @since 1.2.0
+ */
+export const DEFAULT_EXCLUDE = ['**/*.d.{ts,mts,cts}'];
+
+const toArray = (value) => (value === undefined ? [] : [].concat(value));
+
+/**
+ * Converts a glob pattern to a regular expression.
+ *
+ * Supports `*` (any characters except `/`), `**` (any number of directories),
+ * `?` (a single character) and `{a,b}` alternatives. Patterns are matched against
+ * forward-slash separated paths relative to the scanned directory.
+ *
+ * @param {string} pattern - The glob pattern
+ * @returns {RegExp} A regular expression matching the whole path
+ * @since 1.2.0
+ */
+export const globToRegExp = (pattern) => {
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Tells whether a relative path matches any of the given glob patterns.
+ *
+ * @param {string} relativePath - Forward-slash separated path relative to the scanned directory
+ * @param {string|string[]} patterns - One or more glob patterns
+ * @returns {boolean}
+ * @since 1.2.0
+ */
+export const matchesGlob = (relativePath, patterns) =>
+  toArray(patterns).some((pattern) => globToRegExp(pattern).test(relativePath));
+
+/**
+ * Tells whether a file may hold a partial class according to the scan options.
+ *
+ * @param {string} relativePath - Forward-slash separated path relative to the scanned directory
+ * @param {Object} options - Scan options (see listPartialFiles)
+ * @returns {boolean}
+ * @since 1.2.0
+ */
+export const isPartialFile = (relativePath, { loadable, recursive = false, include, exclude } = {}) => {
+  if (!recursive && relativePath.includes('/')) {
+    return false;
+  }
+  if (!loadable(relativePath)) {
+    return false;
+  }
+  if (include !== undefined && !matchesGlob(relativePath, include)) {
+    return false;
+  }
+  return !matchesGlob(relativePath, [...DEFAULT_EXCLUDE, ...toArray(exclude)]);
+};
+
+/**
+ * Lists the partial class files in a directory.
+ *
+ * @param {string} directory - The directory to scan
+ * @param {Object} options - Scan options
+ * @param {function(string): boolean} options.loadable - Tells whether a file, given by its relative path, can be loaded
+ *   as a partial (see utils/loaders.js)
+ * @param {boolean} [options.recursive=false] - Whether to descend into subdirectories
+ * @param {string|string[]} [options.include] - Only files matching one of these globs are listed
+ * @param {string|string[]} [options.exclude] - Files matching one of these globs are skipped, in addition to DEFAULT_EXCLUDE
+ * @returns {Promise<string[]>} Forward-slash separated paths relative to `directory`
+ * @since 1.2.0
+ */
+export const listPartialFiles = async (directory, options = {}) => {
+  const files = [];
+
+  const walk = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (options.recursive) {
+          await walk(relativePath);
+        }
+        continue;
+      }
+      if (isPartialFile(relativePath, options)) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk('');
+  return files;
+};
@@ -0,0 +1,41 @@
+/**
+ * Well-known symbols for lifecycle hooks, defined as static methods.
+ *
+ * - `onSupplement` - on a partial: `static [onSupplement](mainClass, context)` runs once the partial's
+ *   members are installed, with `context` holding `members`, `source`, `modulePath` and `options`
+ * - `beforeSupplement` - on the main class: `static [beforeSupplement](partialClass, members)` runs before
+ *   a partial's members are installed; throwing aborts the supplementation with nothing applied
+ * - `afterSupplement` - on the main class: `static [afterSupplement](partialClass, members)` runs after
+ *   the partial's members are installed and its `onSupplement` hook has run
+ *
+ * The symbols are registered with `Symbol.for`, so they match across copies of the library.
+ * Hooks are never copied to the main class.
+ *
+ * @since 1.2.0
+ */
+export const onSupplement = Symbol.for('js-partial-classes.onSupplement');
+export const beforeSupplement = Symbol.for('js-partial-classes.beforeSupplement');
+export const afterSupplement = Symbol.for('js-partial-classes.afterSupplement');
+
+export const HOOK_KEYS = [onSupplement, beforeSupplement, afterSupplement];
+
+/**
+ * Calls a lifecycle hook of a class, if it defines one, with the class as `this`.
+ *
+ * Hooks run synchronously; a returned promise is not awaited.
+ *
+ * @param {Function} owner - The main class or partial class that may define the hook
+ * @param {symbol} hook - One of HOOK_KEYS
+ * @param {...*} args - The arguments passed to the hook
+ * @throws {TypeError} If the hook is defined but is not a function
+ */
+export const callHook = (owner, hook, ...args) => {
+  const handler = owner[hook];
+  if (handler === undefined) {
+    return;
+  }
+  if (typeof handler !== 'function') {
+    throw new TypeError(`${owner.name || 'anonymous class'}[${hook.description.split('.').pop()}] must be a function`);
+  }
+  handler.call(owner, ...args);
+};
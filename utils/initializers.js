@@ -0,0 +1,209 @@
+import { getSupplementHistory, SUPPLEMENTED_SYMBOLS } from './metadata.js';
+import { readDirective } from './order.js';
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const isObject = (value) => (typeof value === 'object' && value !== null) || typeof value === 'function';
+
+// Instances whose initializers are running, so field accessors used by an initializer do not start the next one
+const initializing = new WeakSet();
+
+/**
+ * Well-known symbol for a partial's per-instance initializer, defined as an instance method.
+ *
+ * `[partialInit]() { ... }` runs once per main-class instance, with the instance as `this`, the
+ * first time the instance uses a member of the partial or reads or writes one of the fields the
+ * partial declares in `static fields`. Class fields declared in a partial live in its constructor
+ * and are not copied, so per-instance state belongs in `[partialInit]`. The method itself is never
+ * copied to the main class.
+ *
+ * @since 1.2.0
+ */
+export const partialInit = Symbol.for('js-partial-classes.partialInit');
+
+/**
+ * Builds the per-instance initializer of a partial class from its `[partialInit]` method.
+ *
+ * The fields it sets up, which get accessors on the main class prototype, are the ones the partial
+ * declares in its `static fields` directive.
+ *
+ * @param {Function} PartialClass - The partial class
+ * @param {string} source - The partial's label, used in error messages
+ * @returns {{instances: WeakSet<Object>, fields: Set<string>, accessors: Map<string, PropertyDescriptor>,
+ *   run: function(Object): void}|undefined} The initializer, or undefined if the partial does not define `[partialInit]`
+ */
+export const createInitializer = (PartialClass, source) => {
+  const init = PartialClass.prototype?.[partialInit];
+  const declared = readDirective(PartialClass, 'fields');
+  const fields = [].concat(declared ?? []);
+  if (fields.some((name) => typeof name !== 'string' || !name)) {
+    throw new TypeError(`Partial ${source}: static fields must be a field name or an array of field names`);
+  }
+  if (typeof init !== 'function') {
+    if (declared !== undefined) {
+      throw new TypeError(`Partial ${source}: static fields needs a [partialInit]() method to initialize them`);
+    }
+    return undefined;
+  }
+  return {
+    instances: new WeakSet(),
+    fields: new Set(fields),
+    accessors: new Map(),
+    run(instance) {
+      init.call(instance);
+    },
+  };
+};
+
+/**
+ * Runs, in application order, the initializers of every partial applied to `mainClass` that have not
+ * run for `instance` yet. Objects that are not instances of `mainClass` (such as its prototype) are ignored.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @param {Object} instance - An instance of the main class
+ */
+export const runInitializers = (mainClass, instance) => {
+  if (!isObject(instance) || !Object.prototype.isPrototypeOf.call(mainClass.prototype, instance)) {
+    return;
+  }
+  const outermost = !initializing.has(instance);
+  initializing.add(instance);
+  try {
+    for (const { initializer } of getSupplementHistory(mainClass)) {
+      if (!initializer || initializer.instances.has(instance)) {
+        continue;
+      }
+      // Mark first so an initializer using partial members does not run itself again
+      initializer.instances.add(instance);
+      initializer.run(instance);
+    }
+  } finally {
+    if (outermost) {
+      initializing.delete(instance);
+    }
+  }
+};
+
+/**
+ * Runs the pending `[partialInit]` initializers of an instance right away, instead of waiting for it to
+ * use a partial member or declared field. Calling it from the main class constructor initializes every
+ * instance as it is created, so main-class code can read any state the initializers set up.
+ *
+ * Without `mainClass`, the initializers of every supplemented class in the instance's prototype chain
+ * run, base classes first. Initializers that already ran for the instance are not run again.
+ *
+ * @param {Object} instance - The instance to initialize
+ * @param {Function} [mainClass] - Only run the initializers of partials applied to this class
+ * @returns {Object} The instance
+ *
+ * @example
+ * class UserService {
+ *   constructor() {
+ *     initializeInstance(this);
+ *   }
+ * }
+ *
+ * @throws {TypeError} If the instance is not an object or `mainClass` is not a function
+ * @since 1.2.0
+ */
+export const initializeInstance = (instance, mainClass) => {
+  if (!isObject(instance)) {
+    throw new TypeError(`initializeInstance expects an object instance, got ${instance === null ? 'null' : typeof instance}`);
+  }
+  if (mainClass !== undefined && typeof mainClass !== 'function') {
+    throw new TypeError(`initializeInstance expects the main class as a function, got ${mainClass === null ? 'null' : typeof mainClass}`);
+  }
+  const classes = [];
+  if (mainClass) {
+    classes.push(mainClass);
+  } else {
+    for (let prototype = Object.getPrototypeOf(instance); prototype; prototype = Object.getPrototypeOf(prototype)) {
+      const constructor = hasOwn(prototype, 'constructor') ? prototype.constructor : undefined;
+      if (typeof constructor === 'function' && hasOwn(constructor, SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_HISTORY)) {
+        classes.unshift(constructor);
+      }
+    }
+  }
+  for (const supplementedClass of classes) {
+    runInitializers(supplementedClass, instance);
+  }
+  return instance;
+};
+
+/**
+ * Installs an accessor on the main class prototype for every field of `initializer` that the prototype
+ * chain does not provide yet. Reading or writing the field on an instance first runs its pending
+ * initializers, then the accessor gives way to the own data property the initializer created.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @param {Object} initializer - The initializer, as returned by createInitializer
+ */
+export const installFieldAccessors = (mainClass, initializer) => {
+  const prototype = mainClass.prototype;
+  for (const name of initializer.fields) {
+    if (initializer.accessors.has(name) || name in prototype) {
+      continue;
+    }
+    const accessor = {
+      get() {
+        if (!initializing.has(this)) {
+          runInitializers(mainClass, this);
+        }
+        return hasOwn(this, name) ? this[name] : undefined;
+      },
+      set(value) {
+        if (!initializing.has(this)) {
+          runInitializers(mainClass, this);
+        }
+        Object.defineProperty(this, name, { value, writable: true, enumerable: true, configurable: true });
+      },
+      enumerable: false,
+      configurable: true,
+    };
+    Object.defineProperty(prototype, name, accessor);
+    initializer.accessors.set(name, accessor);
+  }
+};
+
+/**
+ * Removes the field accessors of `initializer` from the main class prototype, leaving any member that
+ * has since replaced them in place.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @param {Object} initializer - The initializer, as returned by createInitializer
+ */
+export const removeFieldAccessors = (mainClass, initializer) => {
+  for (const [name, accessor] of initializer.accessors) {
+    if (Object.getOwnPropertyDescriptor(mainClass.prototype, name)?.get === accessor.get) {
+      delete mainClass.prototype[name];
+    }
+  }
+  initializer.accessors.clear();
+};
+
+/**
+ * Wraps the methods and accessors of an instance member descriptor so that using them
+ * first initializes the instance (see runInitializers).
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @param {PropertyDescriptor} descriptor - The descriptor to install on the main class prototype
+ * @returns {PropertyDescriptor} The wrapped descriptor
+ */
+export const withInitialization = (mainClass, descriptor) => {
+  const wrap = (fn) => {
+    if (typeof fn !== 'function') {
+      return fn;
+    }
+    const wrapped = function (...args) {
+      runInitializers(mainClass, this);
+      return fn.apply(this, args);
+    };
+    Object.defineProperty(wrapped, 'name', { value: fn.name });
+    Object.defineProperty(wrapped, 'length', { value: fn.length });
+    return wrapped;
+  };
+  if ('value' in descriptor) {
+    return { ...descriptor, value: wrap(descriptor.value) };
+  }
+  return { ...descriptor, get: wrap(descriptor.get), set: wrap(descriptor.set) };
+};
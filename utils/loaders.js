@@ -0,0 +1,173 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { importFresh } from './watch.js';
+import { createErrorWithCause } from './errors.js';
+
+// Registered loaders, most recently registered first
+const loaders = [];
+
+// Number of fresh TypeScript loads, each compiled into its own ts-import cache directory
+let freshCompileCount = 0;
+
+const toExtension = (extension) => (extension.startsWith('.') ? extension : `.${extension}`).toLowerCase();
+
+/**
+ * Turns the first argument of registerLoader into a predicate on module paths.
+ */
+const toMatcher = (extensionOrMatcher) => {
+  if (typeof extensionOrMatcher === 'string' || Array.isArray(extensionOrMatcher)) {
+    const extensions = [].concat(extensionOrMatcher);
+    if (!extensions.length || extensions.some((extension) => typeof extension !== 'string' || !extension)) {
+      throw new TypeError('registerLoader expects non-empty file extensions');
+    }
+    const normalized = extensions.map(toExtension);
+    return (modulePath) => normalized.some((extension) => modulePath.toLowerCase().endsWith(extension));
+  }
+  if (extensionOrMatcher instanceof RegExp) {
+    return (modulePath) => {
+      extensionOrMatcher.lastIndex = 0;
+      return extensionOrMatcher.test(modulePath);
+    };
+  }
+  if (typeof extensionOrMatcher === 'function') {
+    return (modulePath) => Boolean(extensionOrMatcher(modulePath));
+  }
+  throw new TypeError('registerLoader expects a file extension, an array of extensions, a RegExp or a function matching module paths');
+};
+
+/**
+ * Registers a loader for partial files.
+ *
+ * The loader is used by supplement for module paths it matches and makes supplementAll pick up
+ * the files it matches. Loaders registered later take precedence, so a built-in loader can be
+ * replaced by registering another one for the same extension.
+ *
+ * @param {string|string[]|RegExp|function(string): boolean} extensionOrMatcher - A file extension such as `'.mts'`,
+ *   several of them, or a RegExp or predicate tested against the absolute module path
+ * @param {function(string, {fresh: boolean}): *} loadFn - Loads the module at the given absolute path and returns
+ *   (or resolves to) its module namespace, exports object or partial. `fresh` is true when a watched file is
+ *   reloaded, and the loader should then bypass its caches
+ * @returns {function(): void} A function that unregisters the loader
+ *
+ * @example
+ * // Partials described in JSON
+ * registerLoader('.json', async (file) => {
+ *   const methods = JSON.parse(await fs.readFile(file, 'utf8'));
+ *   return Object.fromEntries(Object.entries(methods).map(([name, value]) => [name, () => value]));
+ * });
+ *
+ * @throws {TypeError} If the matcher or the load function is invalid
+ * @since 1.2.0
+ */
+export const registerLoader = (extensionOrMatcher, loadFn) => {
+  if (typeof loadFn !== 'function') {
+    throw new TypeError('registerLoader expects a load function');
+  }
+  const loader = { matches: toMatcher(extensionOrMatcher), load: loadFn };
+  loaders.unshift(loader);
+  return () => {
+    const index = loaders.indexOf(loader);
+    if (index !== -1) {
+      loaders.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Tells whether a registered loader handles a module path.
+ *
+ * @param {string} modulePath - The absolute module path
+ * @returns {boolean}
+ */
+export const hasLoader = (modulePath) => loaders.some((loader) => loader.matches(modulePath));
+
+/**
+ * Imports a JavaScript module, bypassing the module cache when `fresh` is set.
+ */
+const importModule = (modulePath, { fresh = false } = {}) => {
+  if (fresh) {
+    return importFresh(modulePath);
+  }
+  return import(path.isAbsolute(modulePath) ? pathToFileURL(modulePath).href : modulePath);
+};
+
+/**
+ * Loads a partial module with the loader registered for its path.
+ *
+ * Paths no loader matches, such as package specifiers, are imported natively.
+ *
+ * @param {string} modulePath - The module path
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Bypass caches, to pick up changes to the file
+ * @returns {Promise<*>} The loaded module
+ */
+export const loadModule = async (modulePath, { fresh = false } = {}) => {
+  const loader = loaders.find((candidate) => candidate.matches(modulePath));
+  return loader ? loader.load(modulePath, { fresh }) : importModule(modulePath, { fresh });
+};
+
+// ts-import pulls in the TypeScript compiler, so it is only imported once a TypeScript partial is loaded
+let tsImportPromise;
+const loadTsImport = () => {
+  if (!tsImportPromise) {
+    tsImportPromise = import('ts-import').catch((error) => {
+      // A later call may find it, e.g. once it has been installed
+      tsImportPromise = undefined;
+      throw error;
+    });
+  }
+  return tsImportPromise;
+};
+
+/**
+ * Tells whether Node strips TypeScript types natively (`--experimental-strip-types`, on by default since Node 23.6).
+ */
+const hasNativeTypeStripping = () => Boolean(process.features?.typescript);
+
+/**
+ * Creates a loader for files that need compiling, using ts-import and falling back to Node's type stripping.
+ *
+ * @param {Object} options
+ * @param {function(string): Object} [options.tsImportOptions] - Returns the options passed to ts-import's `load` for a file
+ * @param {boolean} options.native - Whether Node's type stripping can load these files
+ * @returns {function(string, {fresh: boolean}): Promise<*>} The loader
+ */
+const createCompilingLoader = ({ tsImportOptions, native }) => async (modulePath, context) => {
+  let tsImport;
+  try {
+    tsImport = await loadTsImport();
+  } catch (error) {
+    if (native && hasNativeTypeStripping()) {
+      return importModule(modulePath, context);
+    }
+    const message = native
+      ? 'TypeScript partials need the optional "ts-import" package or Node.js type stripping. Install it with ' +
+        '"npm install ts-import", run Node.js 22.6+ with --experimental-strip-types (on by default since 23.6)'
+      : 'JSX and TSX partials need the optional "ts-import" package. Install it with "npm install ts-import"';
+    throw createErrorWithCause(
+      `Cannot load ${modulePath}: ${message}, or register your own loader with registerLoader`,
+      error
+    );
+  }
+  const loadOptions = tsImportOptions?.(modulePath);
+  if (!context?.fresh) {
+    return tsImport.load(modulePath, loadOptions);
+  }
+  // ts-import imports the compiled file from a fixed path, which the ES module cache keeps serving;
+  // compiling into a new cache directory gives the new version a URL of its own
+  const cacheDir = path.join(process.cwd(), '.cache', 'ts-import-reloads', String(++freshCompileCount));
+  return tsImport.load(modulePath, {
+    ...loadOptions,
+    transpileOptions: { ...loadOptions?.transpileOptions, cache: { dir: cacheDir } },
+  });
+};
+
+registerLoader(['.js', '.mjs', '.cjs'], importModule);
+registerLoader(['.ts', '.mts', '.cts'], createCompilingLoader({ native: true }));
+registerLoader(['.tsx', '.jsx'], createCompilingLoader({
+  native: false,
+  tsImportOptions: (modulePath) => ({
+    // ts-import merges these into its own transpile options; JsxEmit.React compiles JSX to React.createElement
+    transpileOptions: { transpileOptions: { fileName: modulePath, compilerOptions: { jsx: 2 } } },
+  }),
+}));
@@ -1,3 +1,5 @@
+import { createAggregateError } from './errors.js';
+
 export const SUPPLEMENTED_SYMBOLS = {
     SUPPLEMENTATION_COMPLETED: Symbol('SUPPLEMENTATION_COMPLETED'),
 
@@ -7,30 +9,185 @@ export const SUPPLEMENTED_SYMBOLS = {
     SUPPLEMENTATION_COUNT: Symbol('SUPPLEMENTATION_COUNT'),
 
     SUPPLEMENTATION_RESOLVE: Symbol('SUPPLEMENTATION_RESOLVE'),
+    SUPPLEMENTATION_REJECT: Symbol('SUPPLEMENTATION_REJECT'),
+    SUPPLEMENTATION_ERRORS: Symbol('SUPPLEMENTATION_ERRORS'),
+
+    MEMBER_SOURCES: Symbol('MEMBER_SOURCES'),
+    SUPPLEMENTATION_HISTORY: Symbol('SUPPLEMENTATION_HISTORY'),
   };
   
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Completion promises whenSupplemented has handed out, whose failures therefore reach someone
+const observedCompletions = new WeakSet();
+
 export const addSupplementationMetadata = (mainClass) => {
-    if (!mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETED]) {
-        mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT] = 0;
+    if (hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE)) {
+        return;
+    }
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT] = 0;
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ERRORS] = [];
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE] = () => {
+        if (mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT]++ > 0) {
+            return;
+        }
+        // First pending supplement: start a new completion promise that settles once all of them are done
+        mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ERRORS] = [];
         mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETED] = new Promise((resolve, reject) => {
             mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_RESOLVE] = resolve;
-            mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE] = () => {
-                mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT]++;
-            };
-            mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE] = () => {
-                mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT]--;
-                if (mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT] === 0) {
-                    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_RESOLVE]();
-                }
-            };
+            mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_REJECT] = reject;
         });
+        // Failures are reported through whenSupplemented, not as unhandled rejections
+        mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETED].catch(() => {});
+    };
+    mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ENDED_SINGLE] = (error) => {
+        const errors = mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ERRORS];
+        if (error) {
+            errors.push(error);
+        }
+        if (--mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT] > 0) {
+            return;
+        }
+        if (errors.length === 0) {
+            mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_RESOLVE]();
+        } else if (errors.length === 1) {
+            mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_REJECT](errors[0]);
+        } else {
+            mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_REJECT](
+                createAggregateError(errors, `${errors.length} supplements of ${mainClass.name || 'class'} failed`)
+            );
+        }
+    };
+};
+
+/**
+ * Waits until every pending supplement of a class has finished.
+ *
+ * Supplements registered while waiting are waited for as well. The promise rejects
+ * with the error of a failed supplement (or an AggregateError if several failed).
+ * Resolves immediately if the class has never been supplemented.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @returns {Promise<void>}
+ * @since 1.2.0
+ */
+export const whenSupplemented = (mainClass) => {
+    if (!hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE)) {
+        return Promise.resolve();
     }
+    observedCompletions.add(mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETED]);
+    return mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETED];
+};
+
+/**
+ * Returns a function telling whether whenSupplemented has been called for the supplements of
+ * `mainClass` that are pending now, so that their failures reach whoever called it.
+ */
+export const observeCompletion = (mainClass) => {
+    const completion = mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETED];
+    return () => observedCompletions.has(completion);
 };
 
-export const getSupplementationMetadata = (mainClass) => {
-    return mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETE];
+/**
+ * Tells whether a class has been supplemented, with nothing pending and no failures.
+ *
+ * @param {Function} mainClass - The class to check
+ * @returns {boolean}
+ * @since 1.2.0
+ */
+export const isSupplemented = (mainClass) => {
+    return hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_STARTED_SINGLE)
+        && mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COUNT] === 0
+        && mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_ERRORS].length === 0;
 };
 
-export const isSupplementationComplete = (mainClass) => {
-    return mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_COMPLETE];
-};
\ No newline at end of file
+/**
+ * Records which source (partial class name or module path) installed a member.
+ * Passing an undefined source forgets the member.
+ */
+export const recordMemberSource = (mainClass, side, key, source) => {
+    if (!hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.MEMBER_SOURCES)) {
+        mainClass[SUPPLEMENTED_SYMBOLS.MEMBER_SOURCES] = { static: new Map(), instance: new Map() };
+    }
+    if (source === undefined) {
+        mainClass[SUPPLEMENTED_SYMBOLS.MEMBER_SOURCES][side].delete(key);
+    } else {
+        mainClass[SUPPLEMENTED_SYMBOLS.MEMBER_SOURCES][side].set(key, source);
+    }
+};
+
+/**
+ * Returns the source that installed a member, or undefined if it was not installed by a partial.
+ */
+export const getMemberSource = (mainClass, side, key) => {
+    const sources = hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.MEMBER_SOURCES)
+        ? mainClass[SUPPLEMENTED_SYMBOLS.MEMBER_SOURCES][side]
+        : undefined;
+    return sources?.get(key);
+};
+
+/**
+ * Returns the applied partials of a class in application order.
+ *
+ * Each record holds the partial class, its source label, its module path (when loaded
+ * from a string) and the members it installed, each with the descriptor it installed and
+ * the descriptor and source it replaced, so the application can be rolled back.
+ */
+export const getSupplementHistory = (mainClass) => {
+    if (!hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_HISTORY)) {
+        mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_HISTORY] = [];
+    }
+    return mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_HISTORY];
+};
+
+/**
+ * Describes which partials have been applied to a class and which partial installed each member.
+ *
+ * `partials` lists the applied partials in application order. `members` maps each member key, per
+ * side, to the partial that currently provides it: when several partials installed the same key,
+ * the one applied last is reported. Only partials applied to this very class are included, not
+ * those applied to its superclasses.
+ *
+ * @param {Function} mainClass - The supplemented class
+ * @returns {{
+ *   partials: Array<{order: number, name: string, source: string, modulePath: string|undefined, partialClass: Function,
+ *     members: {static: Array<string|symbol>, instance: Array<string|symbol>}}>,
+ *   members: {static: Map<string|symbol, Object>, instance: Map<string|symbol, Object>}
+ * }} The applied partials, and for every member installed by a partial: its key and side, the partial's `name`,
+ *   `source`, `modulePath` and `order`, whether it `overrode` an existing member and the source it `replaced`
+ * @since 1.2.0
+ */
+export const getSupplementInfo = (mainClass) => {
+    const history = hasOwn(mainClass, SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_HISTORY)
+        ? mainClass[SUPPLEMENTED_SYMBOLS.SUPPLEMENTATION_HISTORY]
+        : [];
+    const info = { partials: [], members: { static: new Map(), instance: new Map() } };
+
+    history.forEach((record, order) => {
+        const partial = {
+            order,
+            name: record.partialClass.name || 'anonymous partial class',
+            source: record.source,
+            modulePath: record.modulePath,
+            partialClass: record.partialClass,
+            members: { static: [], instance: [] },
+        };
+        info.partials.push(partial);
+
+        for (const { side, key, previous, previousSource } of record.members) {
+            partial.members[side].push(key);
+            // Later records win, matching the descriptor currently installed
+            info.members[side].set(key, {
+                key,
+                side,
+                name: partial.name,
+                source: partial.source,
+                modulePath: partial.modulePath,
+                order,
+                overrode: previous !== undefined,
+                replaced: previous === undefined ? undefined : previousSource ?? (mainClass.name || 'the main class'),
+            });
+        }
+    });
+    return info;
+};
@@ -0,0 +1,103 @@
+import { isClassLike, isMixinFactory, isPartialObject } from './exports.js';
+
+/**
+ * Sides of the main class a plain object partial can be applied to.
+ *
+ * @since 1.2.0
+ */
+export const OBJECT_TARGETS = ['instance', 'static'];
+
+// Base classes handed to mixin factories; the `inherit` option never copies members from them
+const mixinBases = new WeakSet();
+
+/**
+ * Tells whether a class is the base class a mixin factory was called with.
+ */
+export const isMixinBase = (value) => mixinBases.has(value);
+
+/**
+ * Copies the own properties of `source` onto a new object inheriting from `parent`.
+ */
+const snapshot = (source, parent, skip) => {
+  const copy = Object.create(parent);
+  for (const key of Reflect.ownKeys(source)) {
+    if (!skip.includes(key)) {
+      Object.defineProperty(copy, key, Object.getOwnPropertyDescriptor(source, key));
+    }
+  }
+  return copy;
+};
+
+/**
+ * Creates the base class a mixin factory extends.
+ *
+ * The base class mirrors the main class as it is when the mixin is applied, so `super` calls in
+ * the mixin reach the members it replaces rather than the mixin's own members once installed.
+ *
+ * @param {Function} mainClass - The class being supplemented
+ * @returns {Function} A base class that cannot be instantiated
+ */
+const createMixinBase = (mainClass) => {
+  const name = mainClass.name || 'main class';
+  function MixinBase() {
+    throw new TypeError(`The mixin base of ${name} cannot be instantiated`);
+  }
+  Object.setPrototypeOf(MixinBase, snapshot(mainClass, Object.getPrototypeOf(mainClass), ['length', 'name', 'prototype']));
+  MixinBase.prototype = snapshot(mainClass.prototype, Object.getPrototypeOf(mainClass.prototype), ['constructor']);
+  mixinBases.add(MixinBase);
+  return MixinBase;
+};
+
+/**
+ * Turns a plain object of methods into a partial class with the object's members on the chosen side.
+ *
+ * Members are installed non-enumerable, like class members.
+ *
+ * @param {Object} object - The object of methods
+ * @param {string} target - One of OBJECT_TARGETS
+ * @returns {Function} The partial class
+ */
+const objectToClass = (object, target) => {
+  if (!OBJECT_TARGETS.includes(target)) {
+    throw new TypeError(`The target option must be one of ${OBJECT_TARGETS.join(', ')}, got "${target}"`);
+  }
+  const ObjectPartial = class {};
+  Object.defineProperty(ObjectPartial, 'name', { value: 'object partial' });
+  const destination = target === 'static' ? ObjectPartial : ObjectPartial.prototype;
+  for (const key of Reflect.ownKeys(object)) {
+    const descriptor = Object.getOwnPropertyDescriptor(object, key);
+    Object.defineProperty(destination, key, { ...descriptor, enumerable: false, configurable: true });
+  }
+  return ObjectPartial;
+};
+
+/**
+ * Normalizes a partial to the partial class whose members are applied.
+ *
+ * - classes are used as they are
+ * - mixin factories `(Base) => class extends Base {}` are called with a base class mirroring the main class
+ * - plain objects of methods become a class with the members on the side chosen by `options.target`
+ *
+ * @param {Function|Object} partial - The class, mixin factory or object of methods
+ * @param {Function} mainClass - The class being supplemented
+ * @param {Object} [options]
+ * @param {string} [options.target='instance'] - Side plain objects are applied to: 'instance' or 'static'
+ * @returns {Function} The partial class
+ * @throws {TypeError} If the partial is none of these, a mixin factory does not return a class or the target is invalid
+ */
+export const normalizePartial = (partial, mainClass, { target = 'instance' } = {}) => {
+  if (isClassLike(partial)) {
+    return partial;
+  }
+  if (isMixinFactory(partial)) {
+    const Mixin = partial(createMixinBase(mainClass));
+    if (!isClassLike(Mixin)) {
+      throw new TypeError(`Mixin factory ${partial.name || '(anonymous)'} must return a class, got ${Mixin === null ? 'null' : typeof Mixin}`);
+    }
+    return Mixin;
+  }
+  if (isPartialObject(partial)) {
+    return objectToClass(partial, target);
+  }
+  throw new TypeError(`Expected a partial class, mixin factory or object of methods, got ${partial === null ? 'null' : typeof partial}`);
+};
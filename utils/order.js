@@ -0,0 +1,141 @@
+import path from 'path';
+
+/**
+ * Static members of a partial class that configure supplementation instead of being copied.
+ *
+ * - `priority` - number; partials are applied in ascending priority, so higher priorities win collisions
+ * - `after` - names of partials (file path or file name without extension) that must be applied first
+ * - `advice` - `{ instance: { key: kind }, static: { key: kind } }`; members composed with the existing
+ *   implementation instead of replacing it (see utils/advice.js)
+ * - `requires` - `{ instance: [...keys], static: [...keys] }`; members the main class must provide
+ *   (see utils/requirements.js)
+ * - `fields` - names of the per-instance fields `[partialInit]` sets up, which then initialize the instance
+ *   when read or written directly (see utils/initializers.js)
+ *
+ * A static method with one of these names, such as `static after(a, b)` of a date helper, is an ordinary
+ * member and is copied like any other.
+ *
+ * @since 1.2.0
+ */
+export const PARTIAL_DIRECTIVES = ['priority', 'after', 'advice', 'requires', 'fields'];
+
+/**
+ * Tells whether a static member of a partial class is a directive rather than a member to copy.
+ *
+ * @param {string|symbol} key - The member key
+ * @param {PropertyDescriptor} descriptor - The member's descriptor
+ * @returns {boolean}
+ */
+export const isDirective = (key, descriptor) =>
+  PARTIAL_DIRECTIVES.includes(key) && typeof descriptor.value !== 'function';
+
+/**
+ * Reads a directive of a partial, ignoring a static method of the same name.
+ *
+ * @param {Function|Object} partial - The partial
+ * @param {string} name - One of PARTIAL_DIRECTIVES
+ * @returns {*} The directive's value, or `undefined` if the partial does not declare it
+ */
+export const readDirective = (partial, name) => {
+  const value = partial[name];
+  return typeof value === 'function' ? undefined : value;
+};
+
+const stripExtension = (file) => file.slice(0, file.length - path.extname(file).length);
+
+const compareEntries = (a, b) =>
+  (a.priority - b.priority) || (a.file < b.file ? -1 : a.file > b.file ? 1 : 0);
+
+/**
+ * Resolves a name from an `after` list to one of the partial files.
+ */
+const findDependency = (name, files, dependent) => {
+  const target = stripExtension(name.replace(/\\/g, '/'));
+  const byPath = files.filter((file) => file === name || stripExtension(file) === target);
+  const matches = byPath.length ? byPath : files.filter((file) => path.posix.basename(stripExtension(file)) === target);
+  if (matches.length === 0) {
+    throw new Error(`Partial ${dependent} must be applied after "${name}", but no such partial file was found`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Partial ${dependent} must be applied after "${name}", which is ambiguous: ${matches.join(', ')}`);
+  }
+  return matches[0];
+};
+
+/**
+ * Reads the `static priority` of a partial file's partials: the highest among them, 0 if none declares one.
+ */
+const readPriority = ({ file, partials }) => Math.max(...partials.map(({ partial }) => {
+  const priority = readDirective(partial, 'priority') ?? 0;
+  if (typeof priority !== 'number' || Number.isNaN(priority)) {
+    throw new TypeError(`Partial ${file}: static priority must be a number, got ${typeof priority}`);
+  }
+  return priority;
+}));
+
+/**
+ * Reads the `static after` lists of a partial file's partials.
+ */
+const readAfter = ({ file, partials }) => partials.flatMap(({ partial }) => {
+  const after = [].concat(readDirective(partial, 'after') ?? []);
+  if (after.some((name) => typeof name !== 'string')) {
+    throw new TypeError(`Partial ${file}: static after must be a partial name or an array of partial names`);
+  }
+  return after;
+});
+
+/**
+ * Orders partial files for deterministic application.
+ *
+ * Files are topologically sorted by the `static after` lists of their partial classes; among files whose
+ * dependencies are satisfied, lower `static priority` (default 0) goes first, then file path. A file
+ * exporting several partial classes takes the highest priority and every `after` entry among them.
+ *
+ * @param {Array<{file: string, partials: Array<{partial: Function|Object}>}>} entries - Loaded partial files
+ * @param {string[]} [allFiles] - Every partial file found, including ones that failed to load.
+ *   Dependencies on those are ignored rather than reported as missing.
+ * @returns {Array<{file: string, partials: Array<{partial: Function|Object}>}>} The entries in application order
+ * @throws {TypeError} If a `priority` is not a number or an `after` list is not made of partial names
+ * @throws {Error} If an `after` entry does not match a partial or the dependencies form a cycle
+ * @since 1.2.0
+ */
+export const orderPartials = (entries, allFiles = entries.map((entry) => entry.file)) => {
+  const nodes = new Map(entries.map((entry) => [entry.file, {
+    entry,
+    file: entry.file,
+    priority: readPriority(entry),
+    dependents: [],
+    pending: 0,
+  }]));
+
+  for (const node of nodes.values()) {
+    const after = readAfter(node.entry);
+    for (const name of new Set(after)) {
+      const dependency = nodes.get(findDependency(name, allFiles, node.file));
+      // Dependencies that failed to load are reported by the caller
+      if (dependency) {
+        dependency.dependents.push(node);
+        node.pending++;
+      }
+    }
+  }
+
+  const ready = [...nodes.values()].filter((node) => node.pending === 0);
+  const ordered = [];
+  while (ready.length) {
+    ready.sort(compareEntries);
+    const node = ready.shift();
+    ordered.push(node.entry);
+    for (const dependent of node.dependents) {
+      if (--dependent.pending === 0) {
+        ready.push(dependent);
+      }
+    }
+  }
+
+  if (ordered.length < nodes.size) {
+    const cyclic = [...nodes.values()].filter((node) => node.pending > 0).map((node) => node.file);
+    throw new Error(`Circular "after" dependency between partials: ${cyclic.join(', ')}`);
+  }
+  return ordered;
+};
@@ -0,0 +1,92 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The library's own modules, which never count as the caller
+const libraryRoot = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const libraryFiles = [path.join(libraryRoot, 'index.js')];
+const libraryDirectory = path.join(libraryRoot, 'utils') + path.sep;
+
+const isLibraryFile = (file) => libraryFiles.includes(file) || file.startsWith(libraryDirectory);
+
+const toPath = (file) => (file.startsWith('file:') ? fileURLToPath(file) : file);
+
+/**
+ * Tells whether a module path is relative (`./` or `../`) and so depends on where it is resolved from.
+ */
+export const isRelativePath = (specifier) => /^\.\.?([\\/]|$)/.test(specifier);
+
+/**
+ * Finds the file of the code that called into the library, by inspecting the stack.
+ *
+ * Frames of the library's own modules and of Node internals are skipped. Must be called
+ * synchronously from the public function, before its first `await`.
+ *
+ * @returns {string|undefined} The caller's file path, or undefined if it cannot be determined
+ *   (e.g. code evaluated from a REPL or `eval`)
+ */
+export const callerFile = () => {
+  const { prepareStackTrace, stackTraceLimit } = Error;
+  let callSites;
+  try {
+    Error.prepareStackTrace = (_, sites) => sites;
+    Error.stackTraceLimit = 50;
+    callSites = new Error().stack;
+  } finally {
+    Error.prepareStackTrace = prepareStackTrace;
+    Error.stackTraceLimit = stackTraceLimit;
+  }
+  if (!Array.isArray(callSites)) {
+    return undefined;
+  }
+  for (const site of callSites) {
+    const file = site.getFileName?.();
+    if (!file || file.startsWith('node:') || site.isEval?.()) {
+      continue;
+    }
+    const filePath = toPath(file);
+    if (path.isAbsolute(filePath) && !isLibraryFile(filePath)) {
+      return filePath;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Returns the directory relative paths are resolved against.
+ *
+ * @param {string|URL} [base] - `import.meta.url` (or another file URL) of the calling module, or a directory path.
+ *   Defaults to the directory of the calling module, found by inspecting the stack.
+ * @returns {string} The directory; the current working directory if the caller cannot be determined
+ * @throws {TypeError} If `base` is neither a file URL nor a path
+ */
+export const resolveBaseDirectory = (base) => {
+  if (base === undefined) {
+    const file = callerFile();
+    return file ? path.dirname(file) : process.cwd();
+  }
+  if (base instanceof URL || (typeof base === 'string' && base.startsWith('file:'))) {
+    // Resolve like a relative URL: against the file's directory, or the directory itself with a trailing slash
+    return fileURLToPath(new URL('.', base));
+  }
+  if (typeof base === 'string') {
+    return path.resolve(base);
+  }
+  throw new TypeError(`The base option must be import.meta.url, a file URL or a directory path, got ${base === null ? 'null' : typeof base}`);
+};
+
+/**
+ * Resolves a module path given to the library to an absolute file path.
+ *
+ * Relative paths are resolved against `baseDirectory`, file URLs are converted to paths, and
+ * absolute paths and package specifiers are returned unchanged.
+ *
+ * @param {string} specifier - The module path
+ * @param {string} baseDirectory - The directory to resolve relative paths against (see resolveBaseDirectory)
+ * @returns {string} The resolved module path
+ */
+export const resolveModulePath = (specifier, baseDirectory) => {
+  if (specifier.startsWith('file:')) {
+    return fileURLToPath(specifier);
+  }
+  return isRelativePath(specifier) ? path.resolve(baseDirectory, specifier) : specifier;
+};
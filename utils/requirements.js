@@ -0,0 +1,75 @@
+import { readDirective } from './order.js';
+
+const SIDES = ['instance', 'static'];
+
+/**
+ * Reads and validates the `static requires` directive of a partial class.
+ *
+ * @param {Function} PartialClass - The partial class
+ * @param {string} source - Label of the partial, used in error messages
+ * @returns {{instance: Array<string|symbol>, static: Array<string|symbol>}} The required member keys, by side
+ * @throws {TypeError} If the directive is malformed
+ */
+export const readRequirements = (PartialClass, source) => {
+  const requires = readDirective(PartialClass, 'requires');
+  if (requires === undefined) {
+    return { instance: [], static: [] };
+  }
+  if (requires === null || typeof requires !== 'object') {
+    throw new TypeError(`${source}: static requires must be an object like { instance: ['getId'] }`);
+  }
+  for (const side of Reflect.ownKeys(requires)) {
+    if (!SIDES.includes(side)) {
+      throw new TypeError(`${source}: static requires only accepts "instance" and "static" keys, got "${String(side)}"`);
+    }
+    const keys = requires[side];
+    if (!Array.isArray(keys) || keys.some((key) => typeof key !== 'string' && typeof key !== 'symbol')) {
+      throw new TypeError(`${source}: static requires.${side} must be an array of member names`);
+    }
+  }
+  return { instance: requires.instance ?? [], static: requires.static ?? [] };
+};
+
+/**
+ * Checks that the main class provides every member the partials of a batch require.
+ *
+ * A member counts as provided if the main class has it (own or inherited) or a partial of the
+ * batch installs it, so requirements are checked against the class as it will be once the batch
+ * is applied.
+ *
+ * @param {Function} mainClass - The class being supplemented
+ * @param {Array<{source: string, requires: {instance: Array<string|symbol>, static: Array<string|symbol>}}>} partials - The
+ *   partials of the batch with their requirements
+ * @param {{instance: Map, static: Map}} planned - The members the batch installs, by side
+ * @throws {Error} If any requirement is missing; the message lists the missing members of each partial and
+ *   the error's `missing` property holds `{source, instance, static}` entries
+ * @since 1.2.0
+ */
+export const verifyRequirements = (mainClass, partials, planned) => {
+  const targets = { instance: mainClass.prototype, static: mainClass };
+  const missing = [];
+  for (const { source, requires } of partials) {
+    const entry = { source, instance: [], static: [] };
+    for (const side of SIDES) {
+      entry[side] = requires[side].filter((key) => !planned[side].has(key) && !(key in targets[side]));
+    }
+    if (entry.instance.length || entry.static.length) {
+      missing.push(entry);
+    }
+  }
+  if (!missing.length) {
+    return;
+  }
+
+  const name = mainClass.name || 'the main class';
+  const describe = (entry) =>
+    SIDES.filter((side) => entry[side].length)
+      .map((side) => `${side} ${entry[side].map(String).join(', ')}`)
+      .join('; ');
+  const details = missing.map((entry) => `${entry.source} requires ${describe(entry)}`);
+  const error = new Error(
+    `${name} does not provide members required by its partials:\n  - ${details.join('\n  - ')}`
+  );
+  error.missing = missing;
+  throw error;
+};
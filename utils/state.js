@@ -0,0 +1,53 @@
+// Partial class (or other owner key) -> WeakMap of instance -> state object
+const stores = new WeakMap();
+
+const isObject = (value) => (typeof value === 'object' && value !== null) || typeof value === 'function';
+
+/**
+ * Returns the private storage object a partial keeps on a main-class instance.
+ *
+ * `#private` fields cannot be used on supplemented instances, because they belong to the brand of the
+ * partial class rather than the main class. This storage plays that role: it is created on first use,
+ * is only reachable by code holding both the instance and the partial class, never collides with
+ * another partial's properties and is garbage collected together with the instance.
+ *
+ * @param {Object} instance - The main-class instance (usually `this` in a partial method)
+ * @param {Function|Object} PartialClass - The partial owning the state; any object can serve as the key
+ * @param {function(Object): Object} [initialize] - Creates the state the first time it is requested for
+ *   the instance; defaults to an empty object
+ * @returns {Object} The storage object, the same one on every call for this instance and partial
+ *
+ * @example
+ * class CounterPartial {
+ *   increment() {
+ *     const state = partialState(this, CounterPartial, () => ({ count: 0 }));
+ *     return ++state.count;
+ *   }
+ * }
+ *
+ * @throws {TypeError} If the instance or the partial is not an object, or `initialize` does not return an object
+ * @since 1.2.0
+ */
+export const partialState = (instance, PartialClass, initialize) => {
+  if (!isObject(instance)) {
+    throw new TypeError(`partialState expects an object instance, got ${instance === null ? 'null' : typeof instance}`);
+  }
+  if (!isObject(PartialClass)) {
+    throw new TypeError(`partialState expects the partial class as its key, got ${PartialClass === null ? 'null' : typeof PartialClass}`);
+  }
+
+  let store = stores.get(PartialClass);
+  if (!store) {
+    store = new WeakMap();
+    stores.set(PartialClass, store);
+  }
+  let state = store.get(instance);
+  if (!state) {
+    state = initialize ? initialize(instance) : {};
+    if (!isObject(state)) {
+      throw new TypeError(`partialState initializer for ${PartialClass.name || 'partial'} must return an object`);
+    }
+    store.set(instance, state);
+  }
+  return state;
+};
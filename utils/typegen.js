@@ -0,0 +1,209 @@
+import path from 'path';
+import { iterateDescriptors } from './utils.js';
+import { listPartialFiles } from './files.js';
+import { hasLoader, loadModule } from './loaders.js';
+import { orderPartials, isDirective } from './order.js';
+import { resolvePartialExports, isClassLike, isMixinFactory } from './exports.js';
+import { normalizePartial, OBJECT_TARGETS } from './normalize.js';
+import { resolveBaseDirectory } from './paths.js';
+import { createAggregateError, createErrorWithCause } from './errors.js';
+
+// Extensions TypeScript can resolve type imports for, and the extension to import them with
+const TYPE_IMPORT_EXTENSIONS = {
+  '.ts': '.js',
+  '.tsx': '.js',
+  '.mts': '.mjs',
+  '.cts': '.cjs',
+  '.js': '.js',
+  '.jsx': '.js',
+  '.mjs': '.mjs',
+  '.cjs': '.cjs',
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Returns the module specifier to import `file` with from a declaration file in `fromDirectory`.
+ */
+const importSpecifier = (file, fromDirectory) => {
+  const extension = path.extname(file);
+  const withExtension = file.slice(0, file.length - extension.length) + TYPE_IMPORT_EXTENSIONS[extension];
+  const relative = path.relative(fromDirectory, withExtension).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+};
+
+/**
+ * Lists the static members a partial class would install, the way supplement selects them.
+ */
+const staticMembers = (PartialClass) => {
+  const members = [];
+  iterateDescriptors(PartialClass, ([key, descriptor]) => {
+    if (typeof key === 'string' && key !== 'prototype' && !isDirective(key, descriptor)) {
+      members.push({ key, method: typeof descriptor.value === 'function' });
+    }
+  });
+  return members;
+};
+
+/**
+ * Describes the types a partial contributes, given `reference` to its export: the type to alias (the class the
+ * partial stands for), whether the instance side takes its members and the static members it installs.
+ */
+const describeTypes = (partial, reference, target) => {
+  if (isMixinFactory(partial)) {
+    return {
+      type: `ReturnType<${reference}>`,
+      instance: 'class',
+      statics: staticMembers(normalizePartial(partial, class {})),
+    };
+  }
+  if (isClassLike(partial)) {
+    return { type: reference, instance: 'class', statics: staticMembers(partial) };
+  }
+  // An object of methods goes to one side only
+  return target === 'static'
+    ? { type: reference, instance: undefined, statics: staticMembers(normalizePartial(partial, class {}, { target })) }
+    : { type: reference, instance: 'object', statics: [] };
+};
+
+/**
+ * Generates a TypeScript declaration file that merges the members of a directory of partials into the
+ * declaration of the main class, so TypeScript sees supplemented members without casts.
+ *
+ * The partial files are loaded (with the registered loaders) to find their exports and static members,
+ * exactly as supplementAll would, and each one contributes:
+ * - its instance members, through `interface MainClass extends ...`
+ * - its static members, through `namespace MainClass { const member: ... }`
+ *
+ * Types are referenced with `typeof import('./partials/file.js')`, so the declaration file follows the
+ * partials as they change; only adding, removing or renaming files and static members needs a new run.
+ *
+ * @param {Object} options
+ * @param {string} options.className - Name of the main class
+ * @param {string} options.directory - The directory of partial files, as passed to supplementAll
+ * @param {string} [options.classModule] - Specifier of the module declaring the main class, relative to the output
+ *   file (e.g. `'./user-service.js'`); the members are then merged through `declare module`. Without it they are
+ *   merged into a global class declaration
+ * @param {string} [options.outFile] - Where the declaration file will be written, used to build relative import
+ *   specifiers. Defaults to `<className>.partials.d.ts` next to the directory
+ * @param {string} [options.target='instance'] - Side objects of methods are applied to, as in supplement
+ * @param {boolean} [options.recursive=false] - Whether to scan subdirectories as well
+ * @param {string|string[]} [options.include] - Glob patterns, relative to `directory`, a file must match
+ * @param {string|string[]} [options.exclude] - Glob patterns, relative to `directory`, of files to skip
+ * @param {string|string[]} [options.pick] - Names of the exports to use, as in supplement
+ * @param {string|URL} [options.base] - Directory (or file URL) a relative `directory` is resolved against;
+ *   defaults to the directory of the calling module
+ * @returns {Promise<{outFile: string, content: string}>} The output path and the declaration file's content
+ *
+ * @example
+ * const { outFile, content } = await generateTypes({
+ *   className: 'UserService',
+ *   classModule: './user-service.js',
+ *   directory: './partials',
+ *   outFile: path.resolve('src/user-service.partials.d.ts'),
+ * });
+ * await fs.writeFile(outFile, content);
+ *
+ * @throws {TypeError} If the class name is not a valid identifier, the directory is not a string or the target is invalid
+ * @throws {AggregateError} If any partial file cannot be loaded; `errors` holds one error per failing file
+ * @since 1.2.0
+ */
+export const generateTypes = async ({
+  className,
+  directory,
+  classModule,
+  outFile,
+  target = 'instance',
+  recursive = false,
+  include,
+  exclude,
+  pick,
+  base,
+}) => {
+  if (typeof className !== 'string' || !IDENTIFIER.test(className)) {
+    throw new TypeError(`generateTypes expects the main class name as an identifier, got ${JSON.stringify(className)}`);
+  }
+  if (typeof directory !== 'string') {
+    throw new TypeError(`generateTypes expects the partials directory as a string, got ${typeof directory}`);
+  }
+  if (!OBJECT_TARGETS.includes(target)) {
+    throw new TypeError(`The target option must be one of ${OBJECT_TARGETS.join(', ')}, got "${target}"`);
+  }
+  // Before the first await, while the caller is still on the stack
+  if (!path.isAbsolute(directory)) {
+    directory = path.resolve(resolveBaseDirectory(base), directory);
+  }
+  outFile = path.resolve(outFile ?? path.join(path.dirname(directory), `${className}.partials.d.ts`));
+
+  const files = (await listPartialFiles(directory, {
+    loadable: (file) => hasLoader(path.join(directory, file)),
+    recursive,
+    include,
+    exclude,
+  })).sort();
+  const results = await Promise.allSettled(files.map(async (file) => {
+    const modulePath = path.join(directory, file);
+    return resolvePartialExports(await loadModule(modulePath), { pick, source: modulePath });
+  }));
+  const errors = [];
+  const loaded = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      loaded.push({ file: files[index], partials: result.value });
+    } else {
+      errors.push(createErrorWithCause(`${files[index]}: ${result.reason?.message ?? result.reason}`, result.reason));
+    }
+  });
+  if (errors.length) {
+    throw createAggregateError(errors, `Failed to generate types for ${className} from ${directory}`);
+  }
+
+  const aliases = [];
+  const heritage = [];
+  const statics = [];
+  const skipped = [];
+  for (const { file, partials } of orderPartials(loaded, files)) {
+    const modulePath = path.join(directory, file);
+    if (!TYPE_IMPORT_EXTENSIONS[path.extname(file)]) {
+      skipped.push(`// ${file}: no TypeScript types for files loaded by a custom loader`);
+      continue;
+    }
+    for (const { partial, exportName } of partials) {
+      const member = exportName === undefined || exportName === 'default' ? 'default' : exportName;
+      const reference = `typeof import('${importSpecifier(modulePath, path.dirname(outFile))}').${member}`;
+      const alias = `${className}Partial${aliases.length}`;
+      const types = describeTypes(partial, reference, target);
+      aliases.push(`type ${alias} = ${types.type};`);
+      if (types.instance) {
+        heritage.push(types.instance === 'class' ? `InstanceType<${alias}>` : alias);
+      }
+      for (const { key, method } of types.statics) {
+        statics.push(
+          IDENTIFIER.test(key)
+            ? `${method ? 'const' : 'let'} ${key}: ${alias}['${key}'];`
+            : `// ${key} (from ${file}) is not a valid identifier`
+        );
+      }
+    }
+  }
+
+  const indent = classModule ? '  ' : '';
+  const declare = classModule ? '' : 'declare ';
+  const body = [
+    `${indent}${declare}interface ${className}${heritage.length ? ` extends ${heritage.join(', ')}` : ''} {}`,
+  ];
+  if (statics.length) {
+    body.push(`${indent}${declare}namespace ${className} {`, ...statics.map((line) => `${indent}  ${line}`), `${indent}}`);
+  }
+
+  const lines = [
+    `// Generated by partial-classes gen-types from ${path.relative(path.dirname(outFile), directory).split(path.sep).join('/') || '.'}. Do not edit.`,
+    ...skipped,
+  ];
+  if (classModule) {
+    lines.push('export {};', '', ...aliases, '', `declare module '${classModule}' {`, ...body, '}');
+  } else {
+    lines.push('', ...aliases, '', ...body);
+  }
+  return { outFile, content: `${lines.join('\n')}\n` };
+};
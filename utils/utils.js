@@ -5,14 +5,16 @@ import path from 'path';
 /**
  * Iterates over class descriptors, excluding the constructor.
  *
- * This utility function iterates through all own property descriptors of a class
- * and calls the provided callback function for each descriptor, skipping the constructor.
+ * This utility function iterates through all own property descriptors of a class,
+ * including symbol-keyed ones such as `Symbol.iterator`, and calls the provided
+ * callback function for each descriptor, skipping the constructor and non-writable
+ * data properties (such as a class's `name`, `length` and `prototype`).
  * It's used internally by the supplement function to copy methods from partial classes.
  *
  * @param {Function} cls - The class to iterate over (can be a class constructor or class prototype)
  * @param {Function} cb - Callback function called for each descriptor
  * @param {Array} cb.0 - Array containing [key, descriptor] pair
- * @param {string} cb.0.0 - The property key/name
+ * @param {string|symbol} cb.0.0 - The property key/name
  * @param {PropertyDescriptor} cb.0.1 - The property descriptor
  * @returns {void}
  *
@@ -32,8 +34,9 @@ import path from 'path';
  */
 
 export function iterateDescriptors(cls, cb) {
-  Object.entries(Object.getOwnPropertyDescriptors(cls)).forEach(
-    ([key, value]) => key !== "constructor" && cb([key, value])
+  const descriptors = Object.getOwnPropertyDescriptors(cls);
+  Reflect.ownKeys(descriptors).forEach(
+    (key) => key !== "constructor" && descriptors[key].writable !== false && cb([key, descriptors[key]])
   );
 }
 
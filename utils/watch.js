@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { createErrorWithCause } from './errors.js';
+
+const require = createRequire(import.meta.url);
+let reloadCount = 0;
+
+const isDirectory = (directory) => {
+  try {
+    return fs.statSync(directory).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Imports a module again, bypassing the ES module and CommonJS caches.
+ *
+ * @param {string} modulePath - Path of the module to import
+ * @returns {Promise<Object>} The freshly evaluated module namespace
+ * @since 1.2.0
+ */
+export const importFresh = (modulePath) => {
+  const absolutePath = path.resolve(modulePath);
+  delete require.cache[absolutePath];
+  return import(`${pathToFileURL(absolutePath).href}?update=${++reloadCount}`);
+};
+
+/**
+ * Watches a directory of partial class files and reloads them when they are added, changed or deleted.
+ *
+ * Events:
+ * - `add`, `change`, `delete` - emitted with `{ type, file, members, removed }` once the main class has been updated
+ * - `error` - emitted with an Error naming the file when a reload fails; logged to the console if nobody listens
+ *
+ * Created by supplementAll when the `watch` option is set.
+ *
+ * @since 1.2.0
+ */
+export class PartialWatcher extends EventEmitter {
+  /**
+   * @param {string} directory - The directory to watch
+   * @param {Object} options - Watch options
+   * @param {boolean} [options.recursive=false] - Whether to watch subdirectories
+   * @param {Function} options.accept - `(file) => boolean`, whether a relative path is a partial file
+   * @param {Function} options.reload - `async (file) => event`, updates the main class and returns the event to emit, if any
+   * @param {Object} options.manifest - The manifest of the initial supplementAll call, kept up to date by `reload`
+   * @param {number} [options.delay=50] - Milliseconds to wait for further changes to a file before reloading it
+   */
+  constructor(directory, { recursive = false, accept, reload, manifest, delay = 50 }) {
+    super();
+    this.directory = directory;
+    this.manifest = manifest;
+    this.timers = new Map();
+    this.pending = Promise.resolve();
+    this.accept = accept;
+    this.reload = reload;
+    this.delay = delay;
+    // Watchers by directory relative to `directory`: just '' unless recursive watching falls back to one per directory
+    this.watchers = new Map();
+
+    try {
+      this.watchDirectory('', { recursive });
+    } catch (error) {
+      // Recursive fs.watch is only available on Linux since Node.js 20
+      if (!recursive || error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this.watchTree('');
+    }
+  }
+
+  /**
+   * Starts watching one directory, given relative to the watched directory.
+   */
+  watchDirectory(relative, { recursive = false, tree = false } = {}) {
+    const watcher = fs.watch(path.join(this.directory, relative), { recursive }, (eventType, filename) => {
+      if (!filename) {
+        return;
+      }
+      const file = path.join(relative, filename).split(path.sep).join('/');
+      if (tree && this.updateTree(file)) {
+        return;
+      }
+      this.schedule(file);
+    });
+    watcher.on('error', (error) => this.report(error));
+    watcher.on('close', () => {
+      if (this.watchers.get(relative) === watcher) {
+        this.watchers.delete(relative);
+      }
+    });
+    this.watchers.set(relative, watcher);
+  }
+
+  /**
+   * Watches a directory and its subdirectories with one watcher each, for platforms without recursive
+   * fs.watch. With `scan`, the files already in a directory that appeared while watching are loaded too.
+   */
+  watchTree(relative, { scan = false } = {}) {
+    this.watchDirectory(relative, { tree: true });
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(this.directory, relative), { withFileTypes: true });
+    } catch {
+      this.unwatchDirectory(relative);
+      return;
+    }
+    for (const entry of entries) {
+      const file = path.join(relative, entry.name).split(path.sep).join('/');
+      if (entry.isDirectory()) {
+        this.watchTree(file, { scan });
+      } else if (scan) {
+        this.schedule(file);
+      }
+    }
+  }
+
+  /**
+   * Starts or stops watching `file` if it is a directory that appeared or disappeared, reloading the
+   * files it held. Returns whether it was such a directory.
+   */
+  updateTree(file) {
+    const exists = isDirectory(path.join(this.directory, file));
+    if (exists && !this.watchers.has(file)) {
+      this.watchTree(file, { scan: true });
+      return true;
+    }
+    if (!exists && this.watchers.has(file)) {
+      for (const relative of [...this.watchers.keys()].filter((key) => key === file || key.startsWith(`${file}/`))) {
+        this.unwatchDirectory(relative);
+      }
+      Object.keys(this.manifest).filter((key) => key.startsWith(`${file}/`)).forEach((key) => this.schedule(key));
+      return true;
+    }
+    return false;
+  }
+
+  unwatchDirectory(relative) {
+    this.watchers.get(relative)?.close();
+    this.watchers.delete(relative);
+  }
+
+  /**
+   * Reloads a file once changes to it have settled, if it is a partial file.
+   */
+  schedule(file) {
+    if (!this.accept(file)) {
+      return;
+    }
+    // Editors usually write a file in several steps, so wait for them to settle
+    clearTimeout(this.timers.get(file));
+    this.timers.set(file, setTimeout(() => {
+      this.timers.delete(file);
+      // Reload one file at a time so the main class is never updated concurrently
+      this.pending = this.pending.then(() => this.reloadFile(file, this.reload));
+    }, this.delay));
+  }
+
+  async reloadFile(file, reload) {
+    try {
+      const event = await reload(file);
+      if (event) {
+        this.emit(event.type, event);
+      }
+    } catch (error) {
+      this.report(createErrorWithCause(`Failed to reload ${file}: ${error?.message ?? error}`, error));
+    }
+  }
+
+  report(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Stops watching. Reloads already in progress are allowed to finish.
+   *
+   * @returns {Promise<void>} Resolves once in-progress reloads are done
+   */
+  close() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers.clear();
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    return this.pending;
+  }
+}